@@ -0,0 +1,61 @@
+// ⚡ Dual-mode benchmark suite
+// The variants timed by examples/6-bad-vs-good-dualmode.js and
+// examples/6b-deopt-analysis.js, plus the lib/dual-mode.js wrapper.
+// Run with: node tools/benchmark.js benchmarks/dual-mode.bench.js
+//
+// Each variant runs in its own child process (tools/benchmark.js), so V8's
+// type feedback from one variant can't speed up or slow down another.
+
+import { dualMode } from '../lib/dual-mode.js';
+
+// Callback results are stored so V8 can't eliminate the calls as dead code
+// (the harness does the same with return values)
+let sink;
+const callback = (err, res) => { sink = res; };
+
+// BAD: returns a value even when a callback is given (polymorphic usage)
+function badDualMode(param, callback) {
+  if (typeof callback === 'function') {
+    callback(null, param);
+  }
+  return param;
+}
+
+// GOOD: undefined in callback mode, a value only without a callback
+function goodDualMode(param, callback) {
+  if (typeof callback === 'function') {
+    callback(null, param);
+    return;
+  }
+  return param;
+}
+
+const wrapped = dualMode(async (param) => param);
+
+/**
+ * @type {Array<{ name: string, async?: boolean, run: (i: number) => any }>}
+ */
+export const variants = [
+  {
+    name: 'badDualMode (mixed usage)',
+    run: (i) => (i % 2 === 0 ? badDualMode(i, callback) : badDualMode(i)),
+  },
+  {
+    name: 'goodDualMode (callback mode)',
+    run: (i) => goodDualMode(i, callback),
+  },
+  {
+    name: 'goodDualMode (promise mode)',
+    run: (i) => goodDualMode(i),
+  },
+  {
+    name: 'dualMode() (callback mode)',
+    async: true,
+    run: (i) => new Promise((resolve) => wrapped(i, (err, res) => resolve(res))),
+  },
+  {
+    name: 'dualMode() (promise mode)',
+    async: true,
+    run: (i) => wrapped(i),
+  },
+];
@@ -0,0 +1,33 @@
+// ESLint plugin: catch the async-mixing anti-patterns from examples/ at lint time
+//
+// Usage (eslint.config.js):
+//   import asyncMix from './eslint-plugin/index.js';
+//   export default [asyncMix.configs.recommended];
+
+import noAsyncForeach from './rules/no-async-foreach.js';
+import noAwaitCallback from './rules/no-await-callback.js';
+import noCallbackAndPromise from './rules/no-callback-and-promise.js';
+import noThrowInCallback from './rules/no-throw-in-callback.js';
+
+const plugin = {
+  meta: { name: 'eslint-plugin-async-mix' },
+  rules: {
+    'no-async-foreach': noAsyncForeach,
+    'no-await-callback': noAwaitCallback,
+    'no-callback-and-promise': noCallbackAndPromise,
+    'no-throw-in-callback': noThrowInCallback,
+  },
+  configs: {},
+};
+
+plugin.configs.recommended = {
+  plugins: { 'async-mix': plugin },
+  rules: {
+    'async-mix/no-async-foreach': 'error',
+    'async-mix/no-await-callback': 'error',
+    'async-mix/no-callback-and-promise': 'error',
+    'async-mix/no-throw-in-callback': 'error',
+  },
+};
+
+export default plugin;
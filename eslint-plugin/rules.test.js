@@ -0,0 +1,187 @@
+// Tests for the async-mix ESLint rules
+// Run with: node --test eslint-plugin/rules.test.js
+//
+// The examples/ files double as fixtures: every anti-pattern they demonstrate
+// must be reported, and the correct patterns must lint clean.
+
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Linter, RuleTester } from 'eslint';
+import plugin from './index.js';
+
+// Called from here rather than passed as is, so node:test records this file
+// as the tests' location (CI reports results per file)
+RuleTester.describe = (name, fn) => describe(name, fn);
+RuleTester.it = (name, fn) => it(name, fn);
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('no-await-callback', plugin.rules['no-await-callback'], {
+  valid: [
+    'async function f() { await promiseOnlyFunction(1, 2); }',
+    'async function f() { await work().then((r) => r).catch((err) => log(err)); }',
+    'async function f() { await new Promise((resolve, reject) => setTimeout(resolve, 10)); }',
+    'async function f() { await mapConcurrent(items, 2, async (item, i) => save(item)); }',
+  ],
+  invalid: [
+    {
+      code: 'async function f() { const r = await callbackBasedFunction("test", (err, data) => { if (err) throw err; return data; }); }',
+      errors: [{
+        messageId: 'awaitCallback',
+        suggestions: [{
+          messageId: 'removeCallback',
+          output: 'async function f() { const r = await callbackBasedFunction("test"); }',
+        }],
+      }],
+    },
+    {
+      code: 'async function f() { await db.query(function (error) {}); }',
+      errors: [{
+        messageId: 'awaitCallback',
+        suggestions: [{ messageId: 'removeCallback', output: 'async function f() { await db.query(); }' }],
+      }],
+    },
+  ],
+});
+
+ruleTester.run('no-async-foreach', plugin.rules['no-async-foreach'], {
+  valid: [
+    'users.forEach((user) => console.log(user));',
+    'await Promise.all(users.map(async (user) => saveUser(user)));',
+    'const saves = users.map(async (u) => saveUser(u)); await Promise.allSettled(saves);',
+    'function f() { return users.map(async (u) => saveUser(u)); }',
+  ],
+  invalid: [
+    {
+      code: 'users.forEach(async (user) => { await saveUser(user); });',
+      errors: [{
+        messageId: 'asyncForEach',
+        suggestions: [
+          { messageId: 'useForOf', output: 'for (const user of users) { await saveUser(user); }' },
+          { messageId: 'usePromiseAll', output: 'await Promise.all(users.map(async (user) => { await saveUser(user); }));' },
+        ],
+      }],
+    },
+    {
+      // Not inside an async function: reported, but nothing to suggest safely
+      code: 'function f() { users.forEach(async (user) => { await saveUser(user); }); }',
+      errors: [{ messageId: 'asyncForEach', suggestions: [] }],
+    },
+    {
+      // `return` means "skip this item" in forEach but "leave the loop" in for...of
+      code: 'users.forEach(async (user) => { if (!user) return; await saveUser(user); });',
+      errors: [{
+        messageId: 'asyncForEach',
+        suggestions: [{
+          messageId: 'usePromiseAll',
+          output: 'await Promise.all(users.map(async (user) => { if (!user) return; await saveUser(user); }));',
+        }],
+      }],
+    },
+    {
+      code: 'async function f() { await users.map(async (u) => saveUser(u)); }',
+      errors: [{
+        messageId: 'asyncMap',
+        suggestions: [{
+          messageId: 'usePromiseAll',
+          output: 'async function f() { await Promise.all(users.map(async (u) => saveUser(u))); }',
+        }],
+      }],
+    },
+  ],
+});
+
+ruleTester.run('no-throw-in-callback', plugin.rules['no-throw-in-callback'], {
+  valid: [
+    'fn(1, (err, data) => { if (err) return console.error(err); });',
+    'try { JSON.parse(s); } catch (err) { throw err; }',
+    'items.map((item) => { throw new Error("not an error-first callback"); });',
+    'p.catch((err) => { throw new Error("x", { cause: err }); });',
+    'p.then(null, (e) => { throw e; });',
+  ],
+  invalid: [
+    {
+      code: 'badErrorHandling("error", (err) => { throw err; });',
+      errors: [{ messageId: 'throwInCallback', suggestions: [] }],
+    },
+    {
+      code: 'function load(id, callback) { db.get(id, (err, row) => { if (err) throw err; callback(null, row); }); }',
+      errors: [{
+        messageId: 'throwInCallback',
+        suggestions: [{
+          messageId: 'forwardError',
+          output: 'function load(id, callback) { db.get(id, (err, row) => { if (err) return callback(err); callback(null, row); }); }',
+        }],
+      }],
+    },
+  ],
+});
+
+ruleTester.run('no-callback-and-promise', plugin.rules['no-callback-and-promise'], {
+  valid: [
+    'function f(p, callback) { if (typeof callback === "function") { work.then(callback); return; } else { return work; } }',
+    'function f(p, callback) { if (typeof callback === "function") { callback(null, p); return; } return p; }',
+    'function f(p, cb) { if (!cb) return work; work.then(cb); }',
+    'function f(p, cb) { if (p) return cb(new Error("bad")); cb(null, p); }',
+    'function f(p, options) { return work; }',
+  ],
+  invalid: [
+    {
+      code: 'function versatileFunction(param, callback) { if (callback) work.then(callback); return work; }',
+      errors: [{
+        messageId: 'returnWithCallback',
+        suggestions: [{
+          messageId: 'returnOnlyWithoutCallback',
+          output: 'function versatileFunction(param, callback) { if (callback) work.then(callback); return typeof callback === \'function\' ? undefined : work; }',
+        }],
+      }],
+    },
+    {
+      // The promise itself drives the callback: no automatic rewrite
+      code: 'function badDualMode(p, callback) { return new Promise((resolve) => { callback(null, p); resolve(p); }); }',
+      errors: [{ messageId: 'returnWithCallback', suggestions: [] }],
+    },
+  ],
+});
+
+describe('examples/ as fixtures', () => {
+  const linter = new Linter();
+
+  const lint = (file) => linter
+    .verify(readFileSync(new URL(`../examples/${file}`, import.meta.url), 'utf8'), [plugin.configs.recommended], file)
+    .map((message) => `${message.ruleId.replace('async-mix/', '')}:${message.line}`);
+
+  const expected = {
+    '1-broken-mixing.js': [
+      'no-await-callback:18', 'no-throw-in-callback:19',
+      'no-await-callback:36', 'no-throw-in-callback:38',
+    ],
+    '2-callback-only.js': [],
+    '3-promise-only.js': [],
+    '4-dual-mode.js': [],
+    '5-what-not-to-do.js': [
+      'no-callback-and-promise:22', 'no-throw-in-callback:61',
+      'no-await-callback:79', 'no-throw-in-callback:80',
+    ],
+    '6-bad-vs-good-dualmode.js': ['no-callback-and-promise:10', 'no-callback-and-promise:55'],
+    '6b-deopt-analysis.js': ['no-callback-and-promise:10'],
+    '7-foreach-async-problem.js': ['no-async-foreach:41'],
+    '7b-foreach-fails-silently.js': ['no-async-foreach:41'],
+    '7c-foreach-exits-early.js': ['no-async-foreach:45'],
+    '7d-track-pending-work.js': [],
+    '8-zalgo.js': [],
+    '9-abort-signal.js': [],
+    '10-retry-backoff.js': [],
+    '11-batch-report.js': [],
+    '12-async-iterators.js': [],
+    '13-event-emitters.js': [],
+    '14-async-context.js': [],
+  };
+
+  for (const [file, problems] of Object.entries(expected)) {
+    it(`${file} reports ${problems.length ? problems.join(', ') : 'nothing'}`, () => {
+      assert.deepEqual(lint(file), problems);
+    });
+  }
+});
@@ -0,0 +1,112 @@
+// ❌ users.forEach(async (user) => { await saveUser(user); })
+// forEach discards the promise from each async callback, so the code after it
+// runs before the work is done and rejections go unhandled. The same applies to
+// an async map() whose promises are never handed to Promise.all.
+// See examples/7-foreach-async-problem.js and examples/7b-foreach-fails-silently.js
+
+import { REPO_URL, canAwait, containsNode, isFunction, isPromiseCombinatorCall } from '../utils.js';
+
+export default {
+  meta: {
+    type: 'problem',
+    hasSuggestions: true,
+    docs: {
+      description: 'Disallow async callbacks in forEach, and async map() results not passed to Promise.all',
+      url: `${REPO_URL}/examples/7-foreach-async-problem.js`,
+    },
+    messages: {
+      asyncForEach: 'forEach() ignores the promises returned by an async callback: nothing waits for them and their errors go unhandled.',
+      asyncMap: 'The promises from this async map() are never awaited with Promise.all().',
+      useForOf: 'Use a for...of loop with await (sequential).',
+      usePromiseAll: 'Use await Promise.all() with map() (parallel).',
+    },
+    schema: [],
+  },
+
+  create(context) {
+    const { sourceCode } = context;
+
+    return {
+      'CallExpression[callee.type="MemberExpression"]'(node) {
+        const method = node.callee.property;
+        const callback = node.arguments[0];
+
+        if (method.type !== 'Identifier' || !isFunction(callback) || !callback.async) return;
+
+        if (method.name === 'forEach') {
+          reportForEach(node, callback);
+        } else if (method.name === 'map' && !isCollected(node)) {
+          reportMap(node);
+        }
+      },
+    };
+
+    function reportForEach(node, callback) {
+      const suggest = [];
+
+      if (canAwait(node, sourceCode) && node.parent.type === 'ExpressionStatement') {
+        const forOf = toForOf(node, callback);
+        if (forOf) {
+          suggest.push({
+            messageId: 'useForOf',
+            fix: (fixer) => fixer.replaceText(node.parent, forOf),
+          });
+        }
+
+        const array = sourceCode.getText(node.callee.object);
+        const args = node.arguments.map((arg) => sourceCode.getText(arg)).join(', ');
+        suggest.push({
+          messageId: 'usePromiseAll',
+          fix: (fixer) => fixer.replaceText(node, `await Promise.all(${array}.map(${args}))`),
+        });
+      }
+
+      context.report({ node, messageId: 'asyncForEach', suggest });
+    }
+
+    function reportMap(node) {
+      const suggest = [];
+      const awaited = node.parent.type === 'AwaitExpression';
+
+      if (awaited || canAwait(node, sourceCode)) {
+        suggest.push({
+          messageId: 'usePromiseAll',
+          fix: (fixer) => fixer.replaceText(
+            node,
+            `${awaited ? '' : 'await '}Promise.all(${sourceCode.getText(node)})`
+          ),
+        });
+      }
+
+      context.report({ node, messageId: 'asyncMap', suggest });
+    }
+
+    // The map() result reaches Promise.all either directly or through a variable
+    function isCollected(node) {
+      const { parent } = node;
+
+      if (isPromiseCombinatorCall(parent)) return true;
+      if (parent.type === 'ReturnStatement' || parent.type === 'ArrowFunctionExpression') return true;
+
+      if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+        return sourceCode.getDeclaredVariables(parent).some((variable) =>
+          variable.references.some((ref) => isPromiseCombinatorCall(ref.identifier.parent))
+        );
+      }
+
+      return false;
+    }
+
+    // Only rewrite the simple shape: one plain parameter, block body, no
+    // `return` (which would mean something else inside a loop).
+    function toForOf(node, callback) {
+      const [param] = callback.params;
+      if (callback.params.length !== 1 || param.type !== 'Identifier') return undefined;
+      if (callback.body.type !== 'BlockStatement') return undefined;
+      if (containsNode(callback.body, (child) => child.type === 'ReturnStatement')) return undefined;
+
+      const array = sourceCode.getText(node.callee.object);
+      return `for (const ${param.name} of ${array}) ${sourceCode.getText(callback.body)}`;
+    }
+  },
+};
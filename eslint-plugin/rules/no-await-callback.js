@@ -0,0 +1,59 @@
+// ❌ await callbackBasedFunction('test', (err, data) => { ... })
+// The await sees the function's return value (usually undefined), and the
+// callback's return/throw never reach the surrounding code.
+// See examples/1-broken-mixing.js
+
+import { ERROR_PARAM_NAME, REPO_URL, isFunction, isPromiseMethodCall } from '../utils.js';
+
+export default {
+  meta: {
+    type: 'problem',
+    hasSuggestions: true,
+    docs: {
+      description: 'Disallow `await` on a call whose last argument is a callback',
+      url: `${REPO_URL}/examples/1-broken-mixing.js`,
+    },
+    messages: {
+      awaitCallback: 'Awaiting a call that is passed a callback: `await` gets the return value (usually undefined), and errors thrown in the callback escape try/catch.',
+      removeCallback: 'Remove the callback and await the returned promise (the function must be dual-mode or promise-based).',
+    },
+    schema: [],
+  },
+
+  create(context) {
+    const { sourceCode } = context;
+
+    return {
+      AwaitExpression(node) {
+        const call = node.argument;
+        if (call.type !== 'CallExpression') return;
+
+        const callback = call.arguments.at(-1);
+        if (!looksLikeCallback(callback) || isPromiseMethodCall(call)) return;
+
+        context.report({
+          node,
+          messageId: 'awaitCallback',
+          suggest: [{
+            messageId: 'removeCallback',
+            fix(fixer) {
+              const before = sourceCode.getTokenBefore(callback);
+              const start = before.value === ',' ? before.range[0] : callback.range[0];
+              return fixer.removeRange([start, callback.range[1]]);
+            },
+          }],
+        });
+      },
+    };
+  },
+};
+
+// A sync function taking (err, ...) or several parameters. Async functions and
+// thunks like `() => fetch(url)` are usually tasks handed to a promise helper.
+function looksLikeCallback(node) {
+  if (!isFunction(node) || node.async) return false;
+
+  const [first] = node.params;
+  return node.params.length > 1
+    || (first?.type === 'Identifier' && ERROR_PARAM_NAME.test(first.name));
+}
@@ -0,0 +1,155 @@
+// ❌ function versatileFunction(param, callback) { ...; return work; }
+// A function that takes a callback but still returns a promise (or value) when
+// one is passed lets callers use both channels at once, so results and errors
+// are delivered twice. Return a value only on the no-callback path.
+// See examples/5-what-not-to-do.js and examples/6-bad-vs-good-dualmode.js
+
+import { REPO_URL, containsNode, isFunction, lastCallbackParam } from '../utils.js';
+
+export default {
+  meta: {
+    type: 'problem',
+    hasSuggestions: true,
+    docs: {
+      description: 'Disallow returning a value from a function when its callback was provided',
+      url: `${REPO_URL}/examples/5-what-not-to-do.js`,
+    },
+    messages: {
+      returnWithCallback: '`{{ name }}` is a callback parameter, but this value is returned even when `{{ name }}` is passed: callers can use both channels at once.',
+      returnOnlyWithoutCallback: 'Return the value only when `{{ name }}` is not a function.',
+    },
+    schema: [],
+  },
+
+  create(context) {
+    const { sourceCode } = context;
+    const stack = [];
+
+    const enter = (fn) => stack.push({ fn, callback: lastCallbackParam(fn) });
+    const exit = () => stack.pop();
+
+    return {
+      FunctionDeclaration: enter,
+      FunctionExpression: enter,
+      ArrowFunctionExpression: enter,
+      'FunctionDeclaration:exit': exit,
+      'FunctionExpression:exit': exit,
+      'ArrowFunctionExpression:exit': exit,
+
+      ReturnStatement(node) {
+        const { callback } = stack.at(-1) ?? {};
+        if (!callback || !node.argument) return;
+
+        const { name } = callback;
+        if (isCallOf(node.argument, name) || isOnlyWithoutCallback(node, name)) return;
+
+        // Rewriting is only safe when the returned expression doesn't itself
+        // drive the callback (as in `return new Promise(... callback(...) ...)`)
+        const usesCallback = containsNode(
+          node.argument,
+          (child) => child.type === 'Identifier' && child.name === name,
+          { intoFunctions: true }
+        );
+
+        context.report({
+          node,
+          messageId: 'returnWithCallback',
+          data: { name },
+          suggest: usesCallback ? [] : [{
+            messageId: 'returnOnlyWithoutCallback',
+            data: { name },
+            fix: (fixer) => fixer.replaceText(
+              node.argument,
+              `typeof ${name} === 'function' ? undefined : ${sourceCode.getText(node.argument)}`
+            ),
+          }],
+        });
+      },
+    };
+  },
+};
+
+// `return callback(err)` returns whatever the callback returns — that's fine
+function isCallOf(node, name) {
+  return node.type === 'CallExpression'
+    && node.callee.type === 'Identifier'
+    && node.callee.name === name;
+}
+
+// Whether `callback` is known to be absent when this return runs: it sits in
+// the no-callback branch of an if, or follows an `if (callback) { ...return; }`
+function isOnlyWithoutCallback(returnNode, name) {
+  let child = returnNode;
+  let current = returnNode.parent;
+
+  while (current && !isFunction(current)) {
+    if (current.type === 'IfStatement') {
+      const polarity = callbackPolarity(current.test, name);
+      if (child === current.consequent && polarity === 'absent') return true;
+      if (child === current.alternate && polarity === 'present') return true;
+    }
+
+    if (current.type === 'BlockStatement') {
+      const earlier = current.body.slice(0, current.body.indexOf(child));
+      if (earlier.some((statement) => exitsWhenPresent(statement, name))) return true;
+    }
+
+    child = current;
+    current = current.parent;
+  }
+
+  return false;
+}
+
+function exitsWhenPresent(statement, name) {
+  if (statement.type !== 'IfStatement' || statement.alternate) return false;
+  if (callbackPolarity(statement.test, name) !== 'present') return false;
+
+  const { consequent } = statement;
+  const last = consequent.type === 'BlockStatement' ? consequent.body.at(-1) : consequent;
+  return last?.type === 'ReturnStatement' || last?.type === 'ThrowStatement';
+}
+
+// 'present' if the test is true when the callback was passed, 'absent' if it
+// is true when it wasn't, undefined when it doesn't test the callback
+function callbackPolarity(test, name) {
+  if (test.type === 'Identifier' && test.name === name) return 'present';
+
+  if (test.type === 'UnaryExpression' && test.operator === '!') {
+    const inner = callbackPolarity(test.argument, name);
+    if (inner === 'present') return 'absent';
+    if (inner === 'absent') return 'present';
+    return undefined;
+  }
+
+  if (test.type !== 'BinaryExpression') return undefined;
+
+  const negated = test.operator === '!==' || test.operator === '!=';
+  if (!negated && test.operator !== '===' && test.operator !== '==') return undefined;
+
+  const [typeofSide, other] = isTypeofOf(test.left, name)
+    ? [test.left, test.right]
+    : [test.right, test.left];
+
+  if (isTypeofOf(typeofSide, name) && other.type === 'Literal' && other.value === 'function') {
+    return negated ? 'absent' : 'present';
+  }
+
+  const comparesToNullish = (side) => (side.type === 'Literal' && side.value === null)
+    || (side.type === 'Identifier' && side.name === 'undefined');
+  const isName = (side) => side.type === 'Identifier' && side.name === name;
+
+  if ((isName(test.left) && comparesToNullish(test.right))
+    || (isName(test.right) && comparesToNullish(test.left))) {
+    return negated ? 'present' : 'absent';
+  }
+
+  return undefined;
+}
+
+function isTypeofOf(node, name) {
+  return node.type === 'UnaryExpression'
+    && node.operator === 'typeof'
+    && node.argument.type === 'Identifier'
+    && node.argument.name === name;
+}
@@ -0,0 +1,62 @@
+// ❌ fn(param, (err, data) => { if (err) throw err; })
+// An error-first callback runs later, from a timer or I/O frame: nothing up the
+// stack can catch what it throws, so the process crashes.
+// See examples/1-broken-mixing.js and anti-pattern 2 in examples/5-what-not-to-do.js
+
+import { ERROR_PARAM_NAME, REPO_URL, enclosingFunction, isPromiseMethodCall, lastCallbackParam } from '../utils.js';
+
+export default {
+  meta: {
+    type: 'problem',
+    hasSuggestions: true,
+    docs: {
+      description: 'Disallow `throw` inside an error-first callback',
+      url: `${REPO_URL}/examples/5-what-not-to-do.js`,
+    },
+    messages: {
+      throwInCallback: 'Throwing inside an error-first callback: no try/catch can see it, so it becomes an uncaught exception.',
+      forwardError: 'Pass the error to `{{ name }}` instead of throwing.',
+    },
+    schema: [],
+  },
+
+  create(context) {
+    const { sourceCode } = context;
+
+    return {
+      ThrowStatement(node) {
+        const callback = enclosingFunction(node);
+        if (!isErrorFirstCallback(callback)) return;
+
+        // Forward to the outer function's own callback when it has one
+        const outer = enclosingFunction(callback);
+        const outerCallback = outer && lastCallbackParam(outer);
+        const suggest = outerCallback
+          ? [{
+            messageId: 'forwardError',
+            data: { name: outerCallback.name },
+            fix: (fixer) => fixer.replaceText(
+              node,
+              `return ${outerCallback.name}(${sourceCode.getText(node.argument)});`
+            ),
+          }]
+          : [];
+
+        context.report({ node, messageId: 'throwInCallback', suggest });
+      },
+    };
+  },
+};
+
+// A function passed as the last argument of a call, whose first parameter is
+// err/error/e. Promise handlers are left alone: rethrowing there is correct
+function isErrorFirstCallback(fn) {
+  if (!fn || fn.type === 'FunctionDeclaration') return false;
+
+  const call = fn.parent;
+  if (call.type !== 'CallExpression' || call.arguments.at(-1) !== fn) return false;
+  if (isPromiseMethodCall(call)) return false;
+
+  const [first] = fn.params;
+  return first?.type === 'Identifier' && ERROR_PARAM_NAME.test(first.name);
+}
@@ -0,0 +1,97 @@
+// Shared AST helpers for the async-mix rules
+
+export { REPO_URL } from '../lib/reporting.js';
+
+// Parameter names treated as "this function takes a callback"
+export const CALLBACK_NAME = /^(callback|cb|done)$/;
+
+// Parameter names treated as "this is an error-first callback"
+export const ERROR_PARAM_NAME = /^(err|error|e)$/;
+
+export const PROMISE_COMBINATORS = new Set(['all', 'allSettled', 'any', 'race']);
+
+const PROMISE_METHODS = new Set(['then', 'catch', 'finally']);
+
+const MODULE_DECLARATIONS = new Set([
+  'ImportDeclaration', 'ExportNamedDeclaration', 'ExportDefaultDeclaration', 'ExportAllDeclaration',
+]);
+
+export function isFunction(node) {
+  return node?.type === 'FunctionExpression'
+    || node?.type === 'ArrowFunctionExpression'
+    || node?.type === 'FunctionDeclaration';
+}
+
+export function enclosingFunction(node) {
+  let current = node.parent;
+  while (current && !isFunction(current)) current = current.parent;
+  return current;
+}
+
+// `await` is valid inside an async function, or at the top level of a module
+export function canAwait(node, sourceCode) {
+  const fn = enclosingFunction(node);
+  if (fn) return fn.async;
+  return sourceCode.ast.sourceType === 'module';
+}
+
+// Promise.all(...), Promise.allSettled(...), etc.
+export function isPromiseCombinatorCall(node) {
+  return node?.type === 'CallExpression'
+    && node.callee.type === 'MemberExpression'
+    && node.callee.object.type === 'Identifier'
+    && node.callee.object.name === 'Promise'
+    && node.callee.property.type === 'Identifier'
+    && PROMISE_COMBINATORS.has(node.callee.property.name);
+}
+
+// promise.then(...) / .catch(...) / .finally(...): their handlers take an
+// error first too, but throwing from them rejects the promise
+export function isPromiseMethodCall(call) {
+  return call.callee.type === 'MemberExpression'
+    && call.callee.property.type === 'Identifier'
+    && PROMISE_METHODS.has(call.callee.property.name);
+}
+
+export function lastCallbackParam(fn) {
+  const last = fn.params.at(-1);
+  return last?.type === 'Identifier' && CALLBACK_NAME.test(last.name) ? last : undefined;
+}
+
+// Depth-first search of an AST subtree. Nested functions are skipped unless
+// `intoFunctions` is set, since their statements belong to another scope.
+export function containsNode(node, predicate, { intoFunctions = false } = {}) {
+  const visit = (current, isRoot) => {
+    if (!current || typeof current.type !== 'string') return false;
+    if (predicate(current)) return true;
+    if (!isRoot && !intoFunctions && isFunction(current)) return false;
+
+    return Object.entries(current).some(([key, value]) => {
+      if (key === 'parent') return false;
+      if (Array.isArray(value)) return value.some((child) => visit(child, false));
+      return visit(value, false);
+    });
+  };
+
+  return visit(node, true);
+}
+
+// Like containsNode(), but `this` and `arguments` of nested arrow functions
+// still belong to the function being searched
+export function usesOwn(node, predicate) {
+  return containsNode(node, (inner) => predicate(inner)
+    || (inner.type === 'ArrowFunctionExpression' && usesOwn(inner.body, predicate)));
+}
+
+// Whether a Program imports or exports, which makes top-level await valid
+// (for the codemods; rules read sourceCode.ast.sourceType instead)
+export function isModule(program) {
+  return program.body.some((node) => MODULE_DECLARATIONS.has(node.type));
+}
+
+// The quote style most of `source` uses, for the strings a codemod prints itself
+export function detectQuote(source) {
+  const single = source.match(/'/g)?.length ?? 0;
+  const double = source.match(/"/g)?.length ?? 0;
+  return double > single ? 'double' : 'single';
+}
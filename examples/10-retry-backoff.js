@@ -0,0 +1,101 @@
+// ✅ CORRECT: Retrying transient failures, item by item
+// Run with: node examples/10-retry-backoff.js
+//
+// examples/7b-foreach-fails-silently.js loses Charlie's failed save. Once the
+// failure is surfaced, the next question is whether it was worth a second try:
+// a dropped connection usually is, invalid data never is.
+//
+// lib/retry.js wraps the per-item function, so in a batch only the items
+// that failed are tried again — Alice, Bob and Diana are saved once:
+//   await mapConcurrent(users, 2, retry(saveUser, { retries: 3 }));
+//
+//   1. Charlie fails twice with a transient error, then succeeds
+//   2. Erin's data is invalid: retryIf refuses, no time wasted on retries
+//   3. Frank never succeeds: a RetryError carries every attempt
+
+import { mapConcurrent, mapSettled } from "../lib/collections.js";
+import { retry } from "../lib/retry.js";
+
+const calls = new Map();
+
+// Simulated database save: Charlie hits two dropped connections, Erin's
+// record is invalid, Frank's database is down for good
+async function saveUser(user) {
+  const attempt = (calls.get(user) ?? 0) + 1;
+  calls.set(user, attempt);
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  if (user === "Charlie" && attempt <= 2) {
+    throw Object.assign(new Error(`Connection reset saving ${user}`), { code: "ECONNRESET" });
+  }
+  if (user === "Erin") {
+    throw Object.assign(new Error(`Invalid email for ${user}`), { code: "EVALIDATION" });
+  }
+  if (user === "Frank") {
+    throw Object.assign(new Error(`Database unavailable for ${user}`), { code: "ECONNREFUSED" });
+  }
+
+  return `Saved ${user}`;
+}
+
+const TRANSIENT = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ERR_TIMEOUT"]);
+
+const saveWithRetry = retry(saveUser, {
+  retries: 3,
+  backoff: "exponential",
+  delay: 20, // 20ms, 40ms, 80ms (minus jitter)
+  retryIf: (err) => TRANSIENT.has(err.code),
+});
+
+async function transientFailure() {
+  console.log("=== 1. A transient failure mid-batch ===\n");
+  calls.clear();
+
+  const users = ["Alice", "Bob", "Charlie", "Diana"];
+  const results = await mapConcurrent(users, 2, saveWithRetry);
+
+  console.log(" ", results.join(", "));
+  console.log("  Attempts:", Object.fromEntries(calls));
+  console.log("  ✅ Only Charlie was retried\n");
+}
+
+async function permanentFailures() {
+  console.log("=== 2-3. Failures that retrying can't fix ===\n");
+  calls.clear();
+
+  // mapSettled keeps going, so every item gets its report
+  const outcomes = await mapSettled(["Diana", "Erin", "Frank"], saveWithRetry);
+
+  for (const outcome of outcomes) {
+    if (outcome.status === "fulfilled") {
+      console.log(`  ✅ ${outcome.value}`);
+      continue;
+    }
+
+    const err = outcome.reason;
+    console.log(`  ❌ ${err.name} (${err.code}): ${err.message}`);
+    for (const { attempt, error, delay } of err.attempts) {
+      const next = delay === undefined ? "gave up" : `waited ${delay}ms`;
+      console.log(`     attempt ${attempt}: ${error.code}, ${next}`);
+    }
+  }
+
+  console.log("\n  Attempts:", Object.fromEntries(calls));
+  console.log("  Erin failed once (not retryable); Frank used all 4 attempts");
+}
+
+// Callback mode works the same way: the RetryError arrives as `err`
+function callbackMode() {
+  return new Promise((resolve) => {
+    console.log("\n=== Callback mode ===\n");
+    saveWithRetry("Frank", (err, result) => {
+      console.log(`  callback(err): ${err.name}, cause: ${err.cause.message}`);
+      console.log(`  result: ${result}`);
+      resolve();
+    });
+  });
+}
+
+await transientFailure();
+await permanentFailures();
+await callbackMode();
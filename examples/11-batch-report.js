@@ -0,0 +1,79 @@
+// ✅ CORRECT: Processing every item and reporting partial failures
+// Run with: node examples/11-batch-report.js
+//
+// examples/7b-foreach-fails-silently.js starts from:
+//
+//   users.forEach(async (user) => {
+//     await saveUser(user); // Charlie's rejection is lost
+//   });
+//
+// and fixes it with for...of, which surfaces Charlie's error but stops there:
+// Diana is never saved. For a batch, neither is what we want. runBatch() from
+// lib/collections.js saves everyone it can and says exactly what happened:
+//
+//   const report = await runBatch(users, saveUser, { limit: 2 });
+//   // { total, succeeded: [...], failed: [{ item, error }], skipped: [...] }
+//
+//   1. Every item processed, Charlie's failure reported
+//   2. maxFailures: give up once the database is clearly down
+//   3. Callback mode, for callback-style code paths
+
+import { runBatch } from "../lib/collections.js";
+
+// Simulated database save; `down` makes every write fail
+function createDatabase({ down = false } = {}) {
+  return async function saveUser(user) {
+    await new Promise((resolve) => setTimeout(resolve, 10 + Math.random() * 40));
+
+    if (down) throw new Error(`Database unavailable, could not save ${user}`);
+    if (user === "Charlie") throw new Error(`Database write failed for ${user}`);
+
+    return `Saved ${user}`;
+  };
+}
+
+function printReport(report) {
+  console.log(`  ${report.succeeded.length} succeeded, ${report.failed.length} failed, ${report.skipped.length} skipped (of ${report.total})`);
+  for (const { item, value } of report.succeeded) console.log(`    ✅ ${item}: ${value}`);
+  for (const { item, error } of report.failed) console.log(`    ❌ ${item}: ${error.message}`);
+  for (const { item } of report.skipped) console.log(`    ⏭️  ${item}: not attempted`);
+}
+
+async function everyItemProcessed() {
+  console.log("=== 1. Replacing users.forEach(async ...) ===\n");
+  const users = ["Alice", "Bob", "Charlie", "Diana"];
+
+  const report = await runBatch(users, createDatabase(), { limit: 2 });
+  printReport(report);
+
+  // The report is a value: decide what a partial failure means for the caller
+  if (report.failed.length > 0) {
+    console.log(`\n  → retry later: ${report.failed.map(({ item }) => item).join(", ")}`);
+  }
+}
+
+async function stopAfterFailures() {
+  console.log("\n=== 2. maxFailures: stop once the database is down ===\n");
+  const users = ["Alice", "Bob", "Charlie", "Diana", "Erin", "Frank", "Grace", "Heidi"];
+
+  const report = await runBatch(users, createDatabase({ down: true }), { limit: 2, maxFailures: 3 });
+  printReport(report);
+  console.log("\n  Items already in flight finish; no new items start after the 3rd failure");
+}
+
+function callbackMode() {
+  console.log("\n=== 3. Callback mode ===\n");
+
+  return new Promise((resolve) => {
+    runBatch(["Alice", "Charlie"], createDatabase(), (err, report) => {
+      // err is only set for an abort or invalid arguments, never for an item
+      console.log(`  err: ${err}`);
+      printReport(report);
+      resolve();
+    });
+  });
+}
+
+await everyItemProcessed();
+await stopAfterFailures();
+await callbackMode();
@@ -0,0 +1,160 @@
+// ✅ Pattern 4: async iterators for paginated APIs, streams and emitters
+// Run with: node examples/12-async-iterators.js
+//
+// Examples 2-4 return ONE result. A paginated API, a stream or an event
+// emitter produces MANY, and `for await` is the promise-side way to consume
+// them. Each section shows the pitfall, then the fix:
+//
+//   1. Callback pages → async generator (lib/async-iterators.js fromCallbackPages)
+//   2. Readable streams: errors and `break` cleanup
+//   3. Event emitters: the unhandled `error` event and leaked listeners (fromEmitter)
+//   4. Backpressure: write() ignored vs pipeline()
+
+import { EventEmitter } from "node:events";
+import { Readable, Writable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { fromCallbackPages, fromEmitter } from "../lib/async-iterators.js";
+
+// Callback-only paginated API, in the style of examples/2-callback-only.js
+const USERS = ["Alice", "Bob", "Charlie", "Diana", "Erin", "Frank", "Grace"];
+let pagesFetched = 0;
+
+function listUsers(cursor, callback) {
+  setTimeout(() => {
+    pagesFetched += 1;
+    const offset = cursor ?? 0;
+    const items = USERS.slice(offset, offset + 3);
+    const next = offset + 3 < USERS.length ? offset + 3 : null;
+    callback(null, { items, next });
+  }, 10);
+}
+
+async function callbackPages() {
+  console.log("=== 1. Paginated callback API → for await ===\n");
+
+  pagesFetched = 0;
+  const all = [];
+  for await (const user of fromCallbackPages(listUsers)) {
+    all.push(user);
+  }
+  console.log(`  ${all.join(", ")} (${pagesFetched} pages)`);
+
+  // Pages are pulled, not pushed: stopping early stops the fetching
+  pagesFetched = 0;
+  for await (const user of fromCallbackPages(listUsers)) {
+    if (user === "Bob") break;
+  }
+  console.log(`  break at Bob: ${pagesFetched} page fetched, not 3\n`);
+}
+
+async function readableStreams() {
+  console.log("=== 2. Readable streams ===\n");
+
+  // ❌ A 'data' listener without an 'error' listener: the error event would
+  // crash the process. With for await, the error is thrown in the loop.
+  const failing = new Readable({
+    read() {
+      this.push("chunk 1");
+      this.destroy(new Error("Connection lost mid-stream"));
+    },
+    objectMode: true,
+  });
+  try {
+    for await (const chunk of failing) console.log(`  read ${chunk}`);
+  } catch (err) {
+    console.log(`  ✅ caught: ${err.message}`);
+  }
+
+  // ✅ break destroys the stream (and releases what it holds: a file, a socket)
+  const lines = Readable.from(["line 1", "line 2", "line 3"]);
+  for await (const line of lines) {
+    console.log(`  read ${line}`);
+    break;
+  }
+  console.log(`  after break: destroyed = ${lines.destroyed}\n`);
+}
+
+async function eventEmitters() {
+  console.log("=== 3. Event emitters ===\n");
+
+  // ❌ emit('error') with no 'error' listener throws at the emit() call site,
+  // far from the code that was consuming the events
+  const bare = new EventEmitter();
+  bare.on("message", () => {});
+  try {
+    bare.emit("error", new Error("Socket hang up"));
+  } catch (err) {
+    console.log(`  ❌ unhandled 'error' event thrown from emit(): ${err.message}`);
+  }
+
+  // ✅ fromEmitter: the error is thrown in the loop, after the buffered messages
+  const socket = new EventEmitter();
+  setTimeout(() => {
+    socket.emit("message", "hello");
+    socket.emit("message", "world");
+    socket.emit("error", new Error("Socket hang up"));
+  }, 10);
+  try {
+    for await (const message of fromEmitter(socket, "message")) {
+      console.log(`  message: ${message}`);
+    }
+  } catch (err) {
+    console.log(`  ✅ caught: ${err.message}`);
+  }
+
+  // ✅ break removes the listeners; an unfinished loop over
+  // emitter.on("message") would keep them (and the emitter) alive
+  const ticker = new EventEmitter();
+  const interval = setInterval(() => ticker.emit("tick", Date.now()), 5);
+  const ticks = fromEmitter(ticker, "tick");
+  console.log(`  tick listeners while looping: ${ticker.listenerCount("tick")}`);
+  const received = [];
+  for await (const tick of ticks) {
+    received.push(tick);
+    if (received.length === 3) break;
+  }
+  clearInterval(interval);
+  console.log(`  tick listeners after break:   ${ticker.listenerCount("tick")}\n`);
+}
+
+// A Writable that takes 1ms per chunk and buffers up to 4 chunks
+const slowSink = () =>
+  new Writable({
+    highWaterMark: 4,
+    objectMode: true,
+    write(chunk, encoding, callback) {
+      setTimeout(callback, 1);
+    },
+  });
+
+async function backpressure() {
+  console.log("=== 4. Backpressure ===\n");
+
+  // ❌ write() returns false when the buffer is full; ignoring it queues
+  // everything in memory
+  const ignored = slowSink();
+  let peak = 0;
+  for (let i = 0; i < 1000; i++) {
+    ignored.write(i);
+    peak = Math.max(peak, ignored.writableLength);
+  }
+  ignored.end();
+  console.log(`  ❌ write() ignored:  ${peak} chunks buffered at peak`);
+
+  // ✅ pipeline() waits for 'drain', and forwards errors and cleanup both ways
+  const respected = slowSink();
+  peak = 0;
+  async function* produce() {
+    for (let i = 0; i < 1000; i++) {
+      peak = Math.max(peak, respected.writableLength);
+      yield i;
+    }
+  }
+  await pipeline(Readable.from(produce()), respected);
+  console.log(`  ✅ pipeline():       ${peak} chunks buffered at peak (highWaterMark 4)`);
+}
+
+await callbackPages();
+await readableStreams();
+await eventEmitters();
+await backpressure();
@@ -0,0 +1,125 @@
+// ❌ vs ✅ Mixing EventEmitters with promises
+// Run with: node examples/13-event-emitters.js
+//
+// A client that answers requests with events: 'response' on success, 'error'
+// on failure, 'timeout' when the server is too slow. Wrapping it in a promise
+// looks easy, and goes wrong in three ways:
+//
+//   1. ❌ once('response', resolve) alone: an 'error' event has no listener
+//      and crashes the process
+//   2. ❌ once('response') + once('error'): works, but each successful call
+//      leaves its 'error' listener behind — a leak, then MaxListenersExceededWarning
+//   3. ❌ events.once(): cleans up, but only listens for 'error', so a
+//      'timeout' event is lost and the caller waits forever
+//   4. ✅ lib/emitters.js: reject on every failure event, remove every
+//      listener on settlement, in the dual-mode shape of examples/4-dual-mode.js
+
+import { EventEmitter, once } from "node:events";
+import { fromEmitterApi, waitForEvent } from "../lib/emitters.js";
+
+class Client extends EventEmitter {
+  send(id) {
+    setTimeout(() => {
+      if (id === "bad") this.emit("error", new Error(`Request ${id} failed`));
+      else if (id === "slow") this.emit("timeout");
+      else this.emit("response", `Response to ${id}`);
+    }, 5);
+  }
+}
+
+const pendingFor = (promise, ms) =>
+  Promise.race([promise, new Promise((resolve) => setTimeout(resolve, ms, "still pending"))]);
+
+async function resolveOnly() {
+  console.log("=== 1. ❌ Resolve only: the error event crashes ===\n");
+  const client = new Client();
+
+  // Caught here only so the demo can go on: normally this ends the process
+  const crash = new Promise((resolve) => process.once("uncaughtException", resolve));
+
+  const request = (id) => {
+    client.send(id);
+    return new Promise((resolve) => client.once("response", resolve));
+  };
+
+  const result = await pendingFor(request("bad"), 50);
+  console.log(`  request("bad"): ${result}`);
+  console.log(`  uncaught exception: ${(await crash).message}\n`);
+}
+
+async function leakingListeners() {
+  console.log("=== 2. ❌ once('error', reject) leaks after success ===\n");
+  const client = new Client();
+  const warnings = [];
+  const onWarning = (warning) => warnings.push(warning.name);
+  process.on("warning", onWarning);
+
+  const request = (id) => {
+    client.send(id);
+    return new Promise((resolve, reject) => {
+      client.once("response", resolve);
+      client.once("error", reject); // never removed when 'response' wins
+    });
+  };
+
+  for (let i = 1; i <= 12; i++) await request(`#${i}`);
+  await new Promise((resolve) => setImmediate(resolve));
+  process.off("warning", onWarning);
+
+  console.log(`  after 12 successful requests: ${client.listenerCount("error")} 'error' listeners`);
+  console.log(`  warnings: ${warnings.join(", ")}\n`);
+}
+
+async function eventsOnce() {
+  console.log("=== 3. ❌ events.once() only watches 'error' ===\n");
+  const client = new Client();
+
+  client.send("slow");
+  const result = await pendingFor(once(client, "response"), 50);
+  console.log(`  request("slow") after a 'timeout' event: ${result}`);
+  console.log(`  'response' listeners still attached: ${client.listenerCount("response")}\n`);
+}
+
+async function fixed() {
+  console.log("=== 4. ✅ waitForEvent() / fromEmitterApi() ===\n");
+  const client = new Client();
+
+  // Dual-mode: send, then settle on the first of response / error / timeout
+  const request = fromEmitterApi(
+    (id) => {
+      client.send(id);
+      return client;
+    },
+    { resolveOn: "response", rejectOn: ["error", "timeout"] }
+  );
+
+  for (const id of ["#1", "bad", "slow"]) {
+    try {
+      console.log(`  await request("${id}"): ${await request(id)}`);
+    } catch (err) {
+      console.log(`  await request("${id}"): ${err.code ?? err.name}: ${err.message}`);
+    }
+  }
+
+  for (let i = 1; i <= 12; i++) await request(`#${i}`);
+  const counts = ["response", "error", "timeout"].map((name) => `${name} ${client.listenerCount(name)}`);
+  console.log(`  listeners after 15 requests: ${counts.join(", ")}`);
+
+  // Callback mode, same contract as examples/4-dual-mode.js
+  await new Promise((resolve) => {
+    const returned = request("bad", (err, result) => {
+      console.log(`  callback mode: err = ${err.message}, result = ${result}`);
+      resolve();
+    });
+    console.log(`  callback mode returned: ${returned}`);
+  });
+
+  // Any emitter, one event at a time
+  client.send("#16");
+  console.log(`  waitForEvent(client, "response"): ${await waitForEvent(client, "response")}`);
+}
+
+await resolveOnly();
+await leakingListeners();
+await eventsOnce();
+await fixed();
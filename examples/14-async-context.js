@@ -0,0 +1,106 @@
+// ❌ vs ✅ Request context through callbacks, promises and queues
+// Run with: node examples/14-async-context.js
+//
+// A server keeps the current request ID in an AsyncLocalStorage so that every
+// log line can carry it without passing it down by hand. Two requests run at
+// the same time; each one checks which request ID its result comes back with:
+//
+//   1. ✅ callbackOnlyFunction on setTimeout: Node's timers carry the context
+//   2. ❌ a hand-rolled callback queue (a one-connection pool): callbacks run in
+//      the context of the request that started the worker — req-2 logs as req-1
+//   3. ✅ promiseOnlyFunction over the same queue: await resumes in the caller's
+//      context, even though the queue resolved the promise from the wrong one
+//   4. ✅ lib/context.js: bindContext() on the queue, and dualModeWithContext()
+//      for a dual-mode version of promiseOnlyFunction
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import { bindContext, dualModeWithContext } from "../lib/context.js";
+
+const requestContext = new AsyncLocalStorage();
+const currentRequest = () => requestContext.getStore()?.requestId ?? "(none)";
+
+// The shape of examples/2-callback-only.js
+function callbackOnlyFunction(param1, param2, callback) {
+  setTimeout(() => callback(null, `${param1} ${param2}`), 10);
+}
+
+// A one-connection pool: queries wait their turn, and one worker answers them
+// in order. The worker is started by whichever query finds the pool idle.
+const pool = {
+  queue: [],
+  busy: false,
+
+  query(sql, callback) {
+    this.queue.push({ sql, callback });
+    if (!this.busy) {
+      this.busy = true;
+      setTimeout(() => this.work(), 10);
+    }
+  },
+
+  work() {
+    const { sql, callback } = this.queue.shift();
+    callback(null, `rows for ${sql}`);
+    if (this.queue.length > 0) setTimeout(() => this.work(), 10);
+    else this.busy = false;
+  },
+};
+
+// The shape of examples/3-promise-only.js, over the pool
+function promiseOnlyFunction(param1, param2) {
+  return new Promise((resolve, reject) => {
+    pool.query(`${param1} ${param2}`, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+const report = (requestId) => {
+  const seen = currentRequest();
+  console.log(`  ${requestId}: result handled as ${seen} ${seen === requestId ? "✅" : "❌"}`);
+};
+
+// Calls `call({ id, done })` for two overlapping requests, each inside its own
+// context; resolves once both have called done()
+function twoRequests(call) {
+  return Promise.all(["req-1", "req-2"].map((id) =>
+    requestContext.run({ requestId: id }, () => new Promise((resolve) => call({
+      id,
+      done() {
+        report(id);
+        resolve();
+      },
+    })))
+  ));
+}
+
+async function timers() {
+  console.log("=== 1. ✅ callbackOnlyFunction on setTimeout ===\n");
+  await twoRequests((request) => callbackOnlyFunction(request.id, "save", request.done));
+}
+
+async function handRolledQueue() {
+  console.log("\n=== 2. ❌ Hand-rolled callback queue ===\n");
+  await twoRequests((request) => pool.query(`SELECT ${request.id}`, request.done));
+}
+
+async function awaited() {
+  console.log("\n=== 3. ✅ promiseOnlyFunction over the queue, awaited ===\n");
+  await twoRequests(async (request) => {
+    await promiseOnlyFunction(request.id, "save");
+    request.done();
+  });
+}
+
+async function bound() {
+  console.log("\n=== 4. ✅ bindContext() and dualModeWithContext() ===\n");
+  const query = bindContext(pool.query.bind(pool));
+  await twoRequests((request) => query(`SELECT ${request.id}`, request.done));
+
+  console.log();
+  const save = dualModeWithContext(promiseOnlyFunction);
+  await twoRequests((request) => save(request.id, "save", request.done));
+}
+
+await timers();
+await handRolledQueue();
+await awaited();
+await bound();
@@ -103,32 +103,19 @@ setTimeout(() => {
 }, 250);
 
 setTimeout(() => {
-  console.log('\n=== PERFORMANCE TEST: V8 Optimization ===');
-  console.log('Running 1,000,000 iterations to warm up V8...\n');
+  console.log('\n=== PERFORMANCE: V8 Optimization ===');
+  console.log('badDualModeSync vs goodDualModeSync is measured by the benchmark harness');
+  console.log('(isolated processes, many samples, p50/p99 with 95% confidence intervals):');
+  console.log('   node tools/benchmark.js benchmarks/dual-mode.bench.js');
   
-  const iterations = 1000000;
-  
-  // Test bad pattern
-  console.time('Bad pattern (inconsistent returns)');
-  for (let i = 0; i < iterations; i++) {
+  // Enough calls for V8 to optimize (and deoptimize) them under --trace-opt
+  for (let i = 0; i < 10000; i++) {
     badDualModeSync(i, (err, res) => {});
     badDualModeSync(i); // Different return value!
-  }
-  console.timeEnd('Bad pattern (inconsistent returns)');
-  
-  // Test good pattern - callback mode
-  console.time('Good pattern (callback mode)');
-  for (let i = 0; i < iterations; i++) {
     goodDualModeSync(i, (err, res) => {});
-  }
-  console.timeEnd('Good pattern (callback mode)');
-  
-  // Test good pattern - promise mode
-  console.time('Good pattern (promise mode)');
-  for (let i = 0; i < iterations; i++) {
     goodDualModeSync(i);
   }
-  console.timeEnd('Good pattern (promise mode)');
+  globalThis.reportOptimizationStatus?.({ badDualModeSync, goodDualModeSync });
   
   console.log('\n💡 To see V8 deoptimizations, run:');
   console.log('   node --trace-opt --trace-deopt 6-bad-vs-good-dualmode.js');
@@ -7,10 +7,17 @@
 // immediately and ignores the returned promises — so the code
 // that follows forEach runs BEFORE any of the async work finishes.
 //
-// Three approaches are compared:
+// Four approaches are compared:
 //   1. ❌ forEach — fires callbacks, ignores promises, does not wait
 //   2. ✅ for...of — awaits each iteration sequentially
 //   3. ✅ Promise.all — runs all iterations in parallel, then waits
+//   4. ✅ mapConcurrent — parallel, but at most N saves in flight at once
+
+import { seededRandom } from "../lib/clock.js";
+import { mapConcurrent } from "../lib/collections.js";
+
+// Seeded, so the saves finish in the same (shuffled) order on every run
+const random = seededRandom(12);
 
 // Simulate async persistence (e.g. a database or network write)
 async function saveUser(user) {
@@ -18,7 +25,7 @@ async function saveUser(user) {
 
   // Random delay to simulate variable DB/network latency
   await new Promise((resolve) =>
-    setTimeout(resolve, Math.random() * 1000)
+    setTimeout(resolve, random() * 1000)
   );
 
   console.log(`Finished save for ${user}`);
@@ -69,6 +76,19 @@ async function demoCorrectParallel() {
   console.log("All saves complete (parallel) ✅");
 }
 
+// ✅ CORRECT (bounded): mapConcurrent from lib/collections.js keeps at most
+// `limit` saves in flight, so a batch of thousands of users doesn't open
+// thousands of DB writes at once. Results come back in input order.
+async function demoCorrectBounded() {
+  const users = ["Alice", "Bob", "Charlie", "Diana"];
+
+  console.log("\n=== Using mapConcurrent (parallel, max 2 in flight) ===");
+
+  await mapConcurrent(users, 2, (user) => saveUser(user));
+
+  console.log("All saves complete (bounded) ✅");
+}
+
 // Run demos in sequence so their output doesn't interleave
 await demoForEachProblem();
 
@@ -78,3 +98,5 @@ await new Promise((r) => setTimeout(r, 2000));
 await demoCorrectSequential();
 
 await demoCorrectParallel();
+
+await demoCorrectBounded();
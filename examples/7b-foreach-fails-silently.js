@@ -9,11 +9,16 @@
 //   1. ❌ forEach — error thrown inside async callback goes unhandled
 //   2. ✅ for...of — error propagates out and is caught normally
 
+import { seededRandom } from "../lib/clock.js";
+
+// Seeded, so the same saves finish before the crash on every run
+const random = seededRandom(12);
+
 // Simulated async database save that fails for a specific user
 async function saveUser(user) {
   // Simulate variable-latency async work (e.g. a DB round-trip)
   await new Promise((resolve) =>
-    setTimeout(resolve, Math.random() * 500)
+    setTimeout(resolve, random() * 500)
   );
 
   // Simulate a hard failure mid-batch
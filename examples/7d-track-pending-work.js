@@ -0,0 +1,47 @@
+// ✅ DETECTING the 7c failure mode: track fire-and-forget work
+// Run with: node examples/7d-track-pending-work.js
+//
+// Real drivers often don't hold the event loop open while a write is in
+// flight (pooled sockets are unref'd), so the situation from
+// examples/7c-foreach-exits-early.js is real: main finishes, the loop looks
+// empty, Node exits with code 0, and the writes are gone.
+//
+// trackPending() from lib/pending.js makes this visible:
+//   1. Fire-and-forget promises are registered with pending.track()
+//   2. On beforeExit the tracker drains them (keeping the process alive)
+//   3. Anything that still never settles is listed and the exit code is 1
+
+import { trackPending } from "../lib/pending.js";
+
+// Simulated write on a connection that does NOT keep the process alive
+function saveUser(user) {
+  return new Promise((resolve) => {
+    if (user === "Diana") {
+      // A write that hangs forever (lost connection, stuck lock...)
+      return;
+    }
+
+    setTimeout(() => {
+      console.log(`✅ Saved ${user}`);
+      resolve();
+    }, 200).unref();
+  });
+}
+
+const pending = trackPending({ timeout: 1000 });
+
+console.log("=== TRACKED fire-and-forget writes ===\n");
+
+const users = ["Alice", "Bob", "Charlie", "Diana"];
+
+users.forEach((user) => {
+  // Still fire-and-forget, but now the tracker knows about it
+  pending.track(saveUser(user), `save ${user}`);
+});
+
+console.log(`Main says: done — ${pending.size} writes still in flight`);
+console.log("Without the tracker Node would exit right now with code 0.\n");
+
+process.on("exit", (code) => {
+  console.log(`\nProcess exiting with code ${code}`);
+});
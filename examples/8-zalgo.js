@@ -0,0 +1,100 @@
+// ❌ vs ✅ Releasing Zalgo: callbacks that are sometimes sync, sometimes async
+// Run with: node examples/8-zalgo.js
+//
+// goodDualModeSync in examples/6-bad-vs-good-dualmode.js calls its callback
+// synchronously. That's fine on its own, but put a cache in front of an async
+// lookup and the SAME function calls back synchronously on a hit and
+// asynchronously on a miss. Code written after the call then runs before the
+// callback on one path and after it on the other.
+//
+// dezalgo() from lib/zalgo.js fixes the timing (the callback always runs after
+// the call returns) or, in 'detect' mode, reports functions that mix both.
+
+import { dezalgo } from "../lib/zalgo.js";
+
+const cache = new Map();
+
+// ❌ Sync on a cache hit, async on a miss
+function getUser(id, callback) {
+  if (cache.has(id)) {
+    callback(null, cache.get(id));
+    return;
+  }
+
+  setImmediate(() => {
+    const user = { id, name: `User ${id}` };
+    cache.set(id, user);
+    callback(null, user);
+  });
+}
+
+// A caller that sets up state AFTER starting the lookup — a perfectly
+// reasonable thing to do with an async API
+function loadProfile(lookup, id, done) {
+  const request = { id, status: "pending" };
+
+  lookup(id, (err, user) => {
+    if (err) return done(err);
+    // Assumes `request.status = "loading"` below has already run
+    console.log(`  callback sees status: ${request.status}`);
+    request.status = "loaded";
+    done(null, request, user);
+  });
+
+  request.status = "loading";
+}
+
+function run(label, lookup, id) {
+  return new Promise((resolve) => {
+    loadProfile(lookup, id, (err, request) => {
+      // Look again once everything in this turn has run
+      setImmediate(() => {
+        console.log(`  ${label}: final status = ${request.status}`);
+        resolve();
+      });
+    });
+  });
+}
+
+async function demoZalgo() {
+  console.log("=== ❌ MIXED TIMING (cache miss vs cache hit) ===\n");
+  cache.clear();
+
+  await run("miss", getUser, 1); // callback sees "loading", final status "loaded"
+  await run("hit ", getUser, 1); // callback sees "pending", then "loading" overwrites "loaded"
+
+  console.log("\n❌ On a cache hit the callback ran BEFORE loadProfile() finished");
+  console.log("   its own setup, and the setup then overwrote the callback's result.\n");
+}
+
+async function demoDeferred() {
+  console.log("=== ✅ dezalgo(getUser): callback always after the call returns ===\n");
+  cache.clear();
+
+  const safeGetUser = dezalgo(getUser);
+  await run("miss", safeGetUser, 1);
+  await run("hit ", safeGetUser, 1);
+
+  console.log("\n✅ Same order on both paths: the cached result is delivered on the");
+  console.log("   microtask queue instead of synchronously.\n");
+}
+
+async function demoDetect() {
+  console.log("=== 🔬 dezalgo(getUser, { mode: 'detect' }) ===\n");
+  cache.clear();
+
+  const watched = dezalgo(getUser, {
+    mode: "detect",
+    onReport: (report) => console.log(`  ⚠️  ${report.code}: ${report.message}`),
+  });
+
+  await new Promise((resolve) => watched(2, resolve)); // async (miss)
+  await new Promise((resolve) => watched(2, resolve)); // sync (hit) → report
+
+  console.log("\n🔬 'detect' leaves timing alone and reports the function once —");
+  console.log("   useful for finding Zalgo in third-party code during staging.");
+}
+
+await demoZalgo();
+await demoDeferred();
+await demoDetect();
@@ -0,0 +1,140 @@
+// ✅ CORRECT: Cancellation with AbortSignal in all three patterns
+// Run with: node examples/9-abort-signal.js
+//
+// The functions in examples/2-4 start a setTimeout that nothing can stop.
+// Here each one accepts an `{ signal }` option, the same way Node's own APIs
+// do (fs.readFile, timers/promises, fetch):
+//   - aborted BEFORE start   → fail right away, never start the work
+//   - aborted DURING work    → clear the timer, fail with an AbortError
+//   - aborted AFTER settling → nothing happens, the result stands
+// The AbortError goes through whichever channel the caller chose: the
+// callback OR the rejection, never both.
+//
+// lib/dual-mode.js does this for any promise-returning function:
+//   const cancellableSave = dualMode(saveUser);
+//   cancellableSave(user, { signal }, (err) => {}) / await cancellableSave(user, { signal })
+
+import { AbortError } from "../lib/errors.js";
+
+// Callback-only: options are optional, so the callback may be 2nd or 3rd
+function callbackOnlyFunction(param, options, callback) {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+  const { signal } = options;
+
+  if (signal?.aborted) {
+    process.nextTick(callback, new AbortError(undefined, { cause: signal.reason }));
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer); // Clear the pending work
+    callback(new AbortError(undefined, { cause: signal.reason }));
+  };
+
+  const timer = setTimeout(() => {
+    signal?.removeEventListener("abort", onAbort);
+    callback(null, `Callback result: ${param}`);
+  }, 100);
+
+  signal?.addEventListener("abort", onAbort, { once: true });
+}
+
+// Promise-only
+function promiseOnlyFunction(param, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new AbortError(undefined, { cause: signal.reason }));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortError(undefined, { cause: signal.reason }));
+    };
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve(`Promise result: ${param}`);
+    }, 100);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Dual-mode: the cancellable promise is the single source of truth, and the
+// usual branch picks ONE channel for the result or the AbortError
+function dualModeFunction(param, options, callback) {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+
+  const work = promiseOnlyFunction(param, options);
+
+  if (typeof callback === "function") {
+    work.then(
+      (result) => callback(null, result),
+      (err) => callback(err)
+    );
+    return;
+  }
+
+  return work;
+}
+
+const describe = (err, result) =>
+  err ? `${err.name} (${err.code}), cause: ${err.cause?.message ?? err.cause}` : result;
+
+// Callback mode as a promise, just to sequence the demo
+const viaCallback = (fn, ...args) =>
+  new Promise((resolve) => fn(...args, (err, result) => resolve(describe(err, result))));
+const viaPromise = (promise) =>
+  promise.then((result) => describe(null, result), (err) => describe(err));
+
+async function abortBeforeStart() {
+  console.log("=== 1. Aborted BEFORE start: the work never starts ===\n");
+  const signal = AbortSignal.abort(new Error("user navigated away"));
+
+  console.log("  callback-only:", await viaCallback(callbackOnlyFunction, "a", { signal }));
+  console.log("  promise-only: ", await viaPromise(promiseOnlyFunction("a", { signal })));
+  console.log("  dual-mode cb: ", await viaCallback(dualModeFunction, "a", { signal }));
+  console.log("  dual-mode p:  ", await viaPromise(dualModeFunction("a", { signal })));
+}
+
+async function abortDuringWork() {
+  console.log("\n=== 2. Aborted DURING work: timer cleared, AbortError delivered ===\n");
+
+  const run = (label, start) => {
+    const controller = new AbortController();
+    const result = start(controller.signal);
+    setTimeout(() => controller.abort(new Error("took too long")), 20);
+    return result.then((outcome) => console.log(`  ${label}`, outcome));
+  };
+
+  await run("callback-only:", (signal) => viaCallback(callbackOnlyFunction, "b", { signal }));
+  await run("promise-only: ", (signal) => viaPromise(promiseOnlyFunction("b", { signal })));
+  await run("dual-mode cb: ", (signal) => viaCallback(dualModeFunction, "b", { signal }));
+  await run("dual-mode p:  ", (signal) => viaPromise(dualModeFunction("b", { signal })));
+}
+
+async function abortAfterSettlement() {
+  console.log("\n=== 3. Aborted AFTER settlement: no effect ===\n");
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  const viaCb = await viaCallback(dualModeFunction, "c", { signal });
+  const viaP = await viaPromise(dualModeFunction("c", { signal }));
+  controller.abort();
+
+  console.log("  dual-mode cb: ", viaCb);
+  console.log("  dual-mode p:  ", viaP);
+  console.log("\n✅ Results stand and the callback was not called a second time:");
+  console.log("   the abort listeners were removed when the work settled.");
+}
+
+await abortBeforeStart();
+await abortDuringWork();
+await abortAfterSettlement();
@@ -0,0 +1,30 @@
+// Types for lib/async-iterators.js
+
+import type { EventEmitter } from 'node:events';
+import type { SignalOptions } from './dual-mode.js';
+
+export interface Page<T, Cursor> {
+  items: Iterable<T>;
+  /** Cursor of the next page; null or undefined on the last one. */
+  next?: Cursor | null;
+}
+
+/** Adapt a callback-style paginated API into an async generator of items. */
+export function fromCallbackPages<T, Cursor = unknown>(
+  fetchPage: (cursor: Cursor | undefined, callback: (err: Error | null, page?: Page<T, Cursor>) => void) => void,
+  options?: SignalOptions & { start?: Cursor }
+): AsyncGenerator<T, void, undefined>;
+
+export interface FromEmitterOptions extends SignalOptions {
+  endEvent?: string | symbol;
+  errorEvent?: string | symbol;
+  /** Buffered values before a pausable emitter is paused (default 16). */
+  highWaterMark?: number;
+}
+
+/** Turn the `event` events of an emitter into an async iterator. */
+export function fromEmitter<T = any>(
+  emitter: EventEmitter,
+  event: string | symbol,
+  options?: FromEmitterOptions
+): AsyncIterableIterator<T>;
@@ -0,0 +1,192 @@
+// ✅ Pattern 4: async iterators (for await)
+// Callbacks and promises deliver ONE result. Paginated APIs, streams and event
+// emitters deliver MANY, and the async iterator is their common shape:
+//
+//   for await (const user of fromCallbackPages(listUsers)) { ... }
+//
+// The equivalents of the one-shot pitfalls, and how these adapters avoid them:
+//   - an `error` event nobody listens to crashes the process
+//       → the error is thrown from the `for await` loop instead
+//   - `break` leaves listeners attached (or a stream open) forever
+//       → leaving the loop, by break, return or throw, removes every listener
+//   - a producer faster than its consumer fills memory (backpressure ignored)
+//       → pages are only fetched when the loop asks for them, and emitters
+//         that can pause (streams, sockets) are paused while the buffer is full
+//
+// Node already provides the stream side: a Readable is async-iterable (break
+// destroys it), Readable.from() turns an iterator back into a stream, and
+// stream/promises pipeline() writes one into a Writable with backpressure.
+// See examples/12-async-iterators.js.
+
+import { abortable } from './dual-mode.js';
+import { AbortError } from './errors.js';
+
+/**
+ * Adapt a callback-style paginated API into an async generator of items.
+ *
+ * `fetchPage(cursor, callback)` follows the callback-only pattern and calls
+ * back with `(err, { items, next })`; iteration stops when `next` is null or
+ * undefined. Each page is fetched only once the previous one is consumed.
+ * Aborting `signal` fails the loop with an AbortError right away, even while
+ * a page is still being fetched.
+ *
+ * @param {(cursor: any, callback: (err: Error | null, page?: { items: Iterable, next?: any }) => void) => void} fetchPage
+ * @param {{ start?: any, signal?: AbortSignal }} [options] - `start` is the first cursor.
+ * @returns {AsyncGenerator<any>}
+ */
+export async function* fromCallbackPages(fetchPage, { start, signal } = {}) {
+  if (typeof fetchPage !== 'function') {
+    throw new TypeError('fromCallbackPages() expects a function');
+  }
+
+  let cursor = start;
+  do {
+    if (signal?.aborted) throw new AbortError(undefined, { cause: signal.reason });
+
+    // A synchronous throw inside the executor becomes a rejection, and a
+    // second callback call is ignored
+    const fetched = new Promise((resolve, reject) => {
+      fetchPage(cursor, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+
+    // fetchPage() takes no signal, so an abort stops the wait, not the fetch:
+    // its late callback settles a promise nobody reads any more
+    const page = await (signal ? abortable(fetched, signal) : fetched);
+
+    yield* page.items;
+    cursor = page.next;
+  } while (cursor !== undefined && cursor !== null);
+}
+
+/**
+ * Turn the `event` events of an emitter into an async iterator.
+ *
+ * Listeners are attached right away, so nothing emitted before the loop
+ * starts is lost. Events are buffered until the loop reads them; once
+ * `highWaterMark` values are waiting, an emitter with `pause()`/`resume()`
+ * is paused until the loop catches up.
+ *
+ * The loop ends after `endEvent`, and throws the first `errorEvent` (or an
+ * AbortError when `signal` aborts) after the values buffered before it.
+ * Leaving the loop early removes the listeners (and resumes a paused emitter)
+ * but does not close or destroy the emitter.
+ *
+ * An event emitted with several arguments yields them as an array.
+ *
+ * @param {import('node:events').EventEmitter} emitter
+ * @param {string} event
+ * @param {{ endEvent?: string, errorEvent?: string, highWaterMark?: number, signal?: AbortSignal }} [options]
+ * @returns {AsyncIterableIterator<any>}
+ */
+export function fromEmitter(emitter, event, {
+  endEvent = 'end',
+  errorEvent = 'error',
+  highWaterMark = 16,
+  signal,
+} = {}) {
+  if (!(Number.isInteger(highWaterMark) && highWaterMark > 0)) {
+    throw new RangeError(`Expected highWaterMark to be a positive integer, got ${highWaterMark}`);
+  }
+
+  const canPause = typeof emitter.pause === 'function' && typeof emitter.resume === 'function';
+  const buffer = [];
+  let failure;
+  let finished = false;
+  let paused = false;
+  let waiting; // { resolve, reject } of a next() call waiting for an event
+
+  const cleanup = () => {
+    emitter.removeListener(event, onValue);
+    emitter.removeListener(endEvent, onEnd);
+    emitter.removeListener(errorEvent, onError);
+    signal?.removeEventListener('abort', onAbort);
+    if (paused) {
+      paused = false;
+      emitter.resume();
+    }
+  };
+
+  // Takes the oldest buffered value, resuming the emitter once there is room
+  const shiftBuffer = () => {
+    const value = buffer.shift();
+    if (paused && buffer.length < highWaterMark) {
+      paused = false;
+      emitter.resume();
+    }
+    return value;
+  };
+
+  const settleWaiting = () => {
+    if (!waiting) return;
+    const { resolve, reject } = waiting;
+    waiting = undefined;
+    if (buffer.length > 0) resolve({ value: shiftBuffer(), done: false });
+    else if (failure) reject(takeFailure());
+    else resolve({ value: undefined, done: true });
+  };
+
+  const takeFailure = () => {
+    const err = failure;
+    failure = undefined;
+    return err;
+  };
+
+  function onValue(...args) {
+    buffer.push(args.length > 1 ? args : args[0]);
+    if (canPause && !paused && buffer.length >= highWaterMark) {
+      paused = true;
+      emitter.pause();
+    }
+    settleWaiting();
+  }
+
+  function onEnd() {
+    finished = true;
+    cleanup();
+    settleWaiting();
+  }
+
+  function onError(err) {
+    failure = err;
+    finished = true;
+    cleanup();
+    settleWaiting();
+  }
+
+  function onAbort() {
+    onError(new AbortError(undefined, { cause: signal.reason }));
+  }
+
+  if (signal?.aborted) {
+    failure = new AbortError(undefined, { cause: signal.reason });
+    finished = true;
+  } else {
+    emitter.on(event, onValue);
+    emitter.on(endEvent, onEnd);
+    emitter.on(errorEvent, onError);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return {
+    next() {
+      if (buffer.length > 0) return Promise.resolve({ value: shiftBuffer(), done: false });
+      if (failure) return Promise.reject(takeFailure());
+      if (finished) return Promise.resolve({ value: undefined, done: true });
+      return new Promise((resolve, reject) => { waiting = { resolve, reject }; });
+    },
+
+    // Called by `for await` on break, return or a throw in the loop body
+    return() {
+      finished = true;
+      buffer.length = 0;
+      failure = undefined;
+      cleanup();
+      settleWaiting();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+}
@@ -0,0 +1,38 @@
+// Types for lib/clock.js
+
+/** What a clock's setTimeout()/setImmediate() return: Node's Timeout, or a virtual one. */
+export interface Timer {
+  ref(): unknown;
+  unref(): unknown;
+  hasRef(): boolean;
+}
+
+export interface Clock {
+  now(): number;
+  setTimeout<Args extends unknown[]>(callback: (...args: Args) => void, ms?: number, ...args: Args): Timer;
+  clearTimeout(timer: Timer | undefined): void;
+  setImmediate<Args extends unknown[]>(callback: (...args: Args) => void, ...args: Args): unknown;
+  clearImmediate(immediate: any): void;
+  /** Same contract as timers/promises setTimeout(). */
+  sleep<T = void>(ms: number, value?: T, options?: { signal?: AbortSignal }): Promise<T>;
+  /** Number in [0, 1), like Math.random(). */
+  random(): number;
+}
+
+export interface VirtualClock extends Clock {
+  /** Move time forward by `ms`, running every timer due on the way. */
+  advance(ms: number): Promise<void>;
+  /** Run timers until none are left; resolves with how many ran. */
+  runAll(options?: { limit?: number }): Promise<number>;
+  /** Timers waiting to run. */
+  readonly pending: number;
+}
+
+/** Date.now(), the global timers and Math.random(). */
+export const systemClock: Clock;
+
+/** Deterministic replacement for Math.random() (mulberry32). */
+export function seededRandom(seed?: number): () => number;
+
+/** A clock whose time only moves with advance() and runAll(). */
+export function createVirtualClock(options?: { now?: number | Date; seed?: number }): VirtualClock;
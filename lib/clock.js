@@ -0,0 +1,203 @@
+// ⏱️ Clocks: real time, or virtual time you advance yourself
+// withTimeout(), retry() and trackPending() wait with real timers, and retry()
+// spreads its waits with Math.random(). That makes their behavior slow to test
+// and impossible to assert exactly ("the 3rd attempt waits ~400ms"). They take
+// a `clock` option instead, `systemClock` by default:
+//
+//   const clock = createVirtualClock({ seed: 42 });
+//   const save = retry(saveUser, { clock });
+//   const saving = save('Charlie');
+//   await clock.advance(1000);   // runs every timer due in the next second, in order
+//
+// Timers run in the order of their due time, then of their creation, and
+// pending promise callbacks run after each one, so async code between timers
+// behaves as it does with real time. Time only moves in advance() and
+// runAll(): a virtual second takes a few microseconds.
+//
+// seededRandom() is the random source of the virtual clock, and can stand in
+// for Math.random() on its own (examples/7-foreach-async-problem.js).
+
+import { setImmediate as realSetImmediate } from 'node:timers';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { AbortError } from './errors.js';
+
+// Node's own range for setTimeout() delays; anything else runs after 1ms
+const TIMEOUT_MAX = 2 ** 31 - 1;
+
+/**
+ * The real clock: Date.now(), the global timers and Math.random(), looked up
+ * on each call so that test tools that patch the globals still apply.
+ */
+export const systemClock = Object.freeze({
+  now: () => Date.now(),
+  setTimeout: (callback, ms, ...args) => setTimeout(callback, ms, ...args),
+  clearTimeout: (timer) => clearTimeout(timer),
+  setImmediate: (callback, ...args) => setImmediate(callback, ...args),
+  clearImmediate: (immediate) => clearImmediate(immediate),
+  sleep: (ms, value, options) => sleep(ms, value, options),
+  random: () => Math.random(),
+});
+
+/**
+ * A deterministic pseudo-random source (mulberry32): the same seed gives the
+ * same sequence of numbers in [0, 1) on every run and every platform.
+ *
+ * @param {number} [seed=1] - 32-bit integer.
+ * @returns {() => number} A drop-in replacement for Math.random().
+ */
+export function seededRandom(seed = 1) {
+  if (!Number.isInteger(seed)) {
+    throw new TypeError(`seededRandom() expects an integer seed, got ${seed}`);
+  }
+
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Create a clock whose time only moves when told to.
+ *
+ * It has the interface of `systemClock`, plus:
+ *   - `advance(ms)`: move time forward, running every timer due on the way
+ *   - `runAll()`: run timers until none are left; resolves with how many ran
+ *   - `pending`: the number of timers waiting to run
+ *
+ * @param {{ now?: number | Date, seed?: number }} [options] - Start time
+ *   (default 0) and seed of `random()` (default 1).
+ * @returns {object} A clock to pass as the `clock` option.
+ */
+export function createVirtualClock({ now = 0, seed = 1 } = {}) {
+  let current = now instanceof Date ? now.getTime() : now;
+  if (!Number.isFinite(current)) {
+    throw new RangeError(`createVirtualClock() expects a finite start time, got ${now}`);
+  }
+
+  const timers = new Map();
+  let nextId = 1;
+
+  const schedule = (callback, delay, args) => {
+    if (typeof callback !== 'function') {
+      throw new TypeError('The callback must be a function');
+    }
+    const timer = new VirtualTimer(nextId++);
+    timers.set(timer, { at: current + delay, callback, args });
+    return timer;
+  };
+
+  const cancel = (timer) => {
+    timers.delete(timer);
+  };
+
+  const setVirtualTimeout = (callback, ms, ...args) => {
+    const delay = ms >= 1 && ms <= TIMEOUT_MAX ? Number(ms) : 1;
+    return schedule(callback, delay, args);
+  };
+
+  // The timer due first, ties broken by creation order
+  const nextDue = (limit) => {
+    let first;
+    for (const [timer, entry] of timers) {
+      if (entry.at > limit) continue;
+      if (!first || entry.at < first[1].at || (entry.at === first[1].at && timer.id < first[0].id)) {
+        first = [timer, entry];
+      }
+    }
+    return first;
+  };
+
+  const runNext = async (limit) => {
+    const due = nextDue(limit);
+    if (!due) return false;
+
+    const [timer, { at, callback, args }] = due;
+    timers.delete(timer);
+    current = Math.max(current, at);
+    callback(...args);
+    await flushMicrotasks();
+    return true;
+  };
+
+  return {
+    now: () => current,
+
+    setTimeout: setVirtualTimeout,
+    clearTimeout: cancel,
+    setImmediate: (callback, ...args) => schedule(callback, 0, args),
+    clearImmediate: cancel,
+
+    // Same contract as timers/promises setTimeout()
+    sleep(ms, value, { signal } = {}) {
+      if (signal?.aborted) return Promise.reject(new AbortError(undefined, { cause: signal.reason }));
+
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          cancel(timer);
+          reject(new AbortError(undefined, { cause: signal.reason }));
+        };
+        const timer = setVirtualTimeout(() => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(value);
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    },
+
+    random: seededRandom(seed),
+
+    async advance(ms) {
+      if (!(Number.isFinite(ms) && ms >= 0)) {
+        throw new RangeError(`advance() expects a non-negative number of ms, got ${ms}`);
+      }
+      const target = current + ms;
+      await flushMicrotasks();
+      let ran = true;
+      while (ran) ran = await runNext(target);
+      current = target;
+    },
+
+    async runAll({ limit = 10_000 } = {}) {
+      await flushMicrotasks();
+      let ran = 0;
+      while (await runNext(Infinity)) {
+        ran += 1;
+        if (ran >= limit && timers.size > 0) {
+          throw new Error(`runAll() stopped after ${limit} timers: timers keep scheduling timers`);
+        }
+      }
+      return ran;
+    },
+
+    get pending() {
+      return timers.size;
+    },
+  };
+}
+
+// Stands in for Node's Timeout object, which callers may ref() or unref()
+class VirtualTimer {
+  constructor(id) {
+    this.id = id;
+  }
+
+  ref() {
+    return this;
+  }
+
+  unref() {
+    return this;
+  }
+
+  hasRef() {
+    return false;
+  }
+}
+
+// Every queued promise callback runs before the next real macrotask
+function flushMicrotasks() {
+  return new Promise((resolve) => realSetImmediate(resolve));
+}
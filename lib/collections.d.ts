@@ -0,0 +1,52 @@
+// Types for lib/collections.js
+// Every helper is dual-mode: the overloads ending in a callback return void.
+
+import type { Callback, SignalOptions } from './dual-mode.js';
+
+export type Iteratee<T, R> = (item: T, index: number) => R | PromiseLike<R>;
+
+export interface CollectionOptions extends SignalOptions {
+  /** Reject with the first error (default) or with an AggregateError of all of them. */
+  stopOnError?: boolean;
+}
+
+export interface BatchReport<T, R> {
+  total: number;
+  succeeded: Array<{ index: number; item: T; value: R }>;
+  failed: Array<{ index: number; item: T; error: unknown }>;
+  skipped: Array<{ index: number; item: T }>;
+}
+
+export function eachSeries<T>(items: Iterable<T>, fn: Iteratee<T, unknown>, callback: Callback<void>): void;
+export function eachSeries<T>(items: Iterable<T>, fn: Iteratee<T, unknown>, options: CollectionOptions, callback: Callback<void>): void;
+export function eachSeries<T>(items: Iterable<T>, fn: Iteratee<T, unknown>, options?: CollectionOptions): Promise<void>;
+
+export function mapConcurrent<T, R>(items: Iterable<T>, limit: number, fn: Iteratee<T, R>, callback: Callback<R[]>): void;
+export function mapConcurrent<T, R>(items: Iterable<T>, limit: number, fn: Iteratee<T, R>, options: CollectionOptions, callback: Callback<R[]>): void;
+export function mapConcurrent<T, R>(items: Iterable<T>, limit: number, fn: Iteratee<T, R>, options?: CollectionOptions): Promise<R[]>;
+
+export interface SettledOptions extends SignalOptions {
+  limit?: number;
+}
+
+export function mapSettled<T, R>(items: Iterable<T>, fn: Iteratee<T, R>, callback: Callback<Array<PromiseSettledResult<R>>>): void;
+export function mapSettled<T, R>(items: Iterable<T>, fn: Iteratee<T, R>, options: SettledOptions, callback: Callback<Array<PromiseSettledResult<R>>>): void;
+export function mapSettled<T, R>(items: Iterable<T>, fn: Iteratee<T, R>, options?: SettledOptions): Promise<Array<PromiseSettledResult<R>>>;
+
+export interface FilterOptions extends CollectionOptions {
+  limit?: number;
+}
+
+export function filterAsync<T>(items: Iterable<T>, fn: Iteratee<T, unknown>, callback: Callback<T[]>): void;
+export function filterAsync<T>(items: Iterable<T>, fn: Iteratee<T, unknown>, options: FilterOptions, callback: Callback<T[]>): void;
+export function filterAsync<T>(items: Iterable<T>, fn: Iteratee<T, unknown>, options?: FilterOptions): Promise<T[]>;
+
+export interface BatchOptions extends SignalOptions {
+  limit?: number;
+  /** Start no new items once this many have failed. */
+  maxFailures?: number;
+}
+
+export function runBatch<T, R>(items: Iterable<T>, fn: Iteratee<T, R>, callback: Callback<BatchReport<T, R>>): void;
+export function runBatch<T, R>(items: Iterable<T>, fn: Iteratee<T, R>, options: BatchOptions, callback: Callback<BatchReport<T, R>>): void;
+export function runBatch<T, R>(items: Iterable<T>, fn: Iteratee<T, R>, options?: BatchOptions): Promise<BatchReport<T, R>>;
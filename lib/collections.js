@@ -0,0 +1,212 @@
+// ✅ Async-aware collection helpers
+// Replacements for the hand-rolled loops in examples/7-foreach-async-problem.js:
+// sequential for...of is safe but slow, unbounded Promise.all floods the
+// database. These keep result order, cap concurrency, and never drop a
+// rejection the way forEach(async ...) does.
+//
+// Every helper is dual-mode: pass a callback last, or await the result.
+//
+//   await mapConcurrent(users, 10, saveUser);
+//   mapConcurrent(users, 10, saveUser, (err, results) => {});
+//
+// Error handling is chosen with `stopOnError`:
+//   - true (default)  reject with the first error and start no new items
+//   - false           process every item, then reject with an AggregateError
+//                     holding all errors in item order
+//
+// Pass `signal` in the options to cancel: the helper rejects (or calls back)
+// with an AbortError and starts no new items.
+//
+// runBatch() never fails because of an item: it reports which items
+// succeeded, which failed (with their errors) and which were skipped.
+
+import { dualMode } from './dual-mode.js';
+import { AbortError } from './errors.js';
+
+/**
+ * Run `fn(item, index)` for each item, one at a time.
+ *
+ * @param {Iterable} items
+ * @param {(item: any, index: number) => any} fn
+ * @param {{ stopOnError?: boolean, signal?: AbortSignal }} [options]
+ * @returns {Promise<void> | undefined} Promise in promise mode, undefined with a callback.
+ */
+export const eachSeries = dualMode(async function eachSeries(items, fn, options = {}) {
+  const { errors, total } = await run(items, 1, fn, options);
+  throwIfFailed(errors, total);
+}, { arity: 2 });
+
+/**
+ * Map items through `fn(item, index)` with at most `limit` calls in flight.
+ * Results are in item order regardless of completion order.
+ *
+ * @param {Iterable} items
+ * @param {number} limit - Maximum concurrent calls (a positive integer or Infinity).
+ * @param {(item: any, index: number) => any} fn
+ * @param {{ stopOnError?: boolean, signal?: AbortSignal }} [options]
+ * @returns {Promise<any[]> | undefined}
+ */
+export const mapConcurrent = dualMode(async function mapConcurrent(items, limit, fn, options = {}) {
+  const { results, errors, total } = await run(items, limit, fn, options);
+  throwIfFailed(errors, total);
+  return results;
+}, { arity: 3 });
+
+/**
+ * Map every item, never rejecting: each result is a Promise.allSettled-style
+ * `{ status: 'fulfilled', value }` or `{ status: 'rejected', reason }`.
+ *
+ * @param {Iterable} items
+ * @param {(item: any, index: number) => any} fn
+ * @param {{ limit?: number, signal?: AbortSignal }} [options]
+ * @returns {Promise<Array<{ status: string, value?: any, reason?: any }>> | undefined}
+ */
+export const mapSettled = dualMode(async function mapSettled(items, fn, { limit = Infinity, signal } = {}) {
+  const settle = (item, index) => Promise.resolve()
+    .then(() => fn(item, index))
+    .then(
+      (value) => ({ status: 'fulfilled', value }),
+      (reason) => ({ status: 'rejected', reason })
+    );
+
+  const { results } = await run(items, limit, settle, { signal });
+  return results;
+}, { arity: 2 });
+
+/**
+ * Keep the items for which `fn(item, index)` resolves truthy, in item order.
+ *
+ * @param {Iterable} items
+ * @param {(item: any, index: number) => any} fn
+ * @param {{ limit?: number, stopOnError?: boolean, signal?: AbortSignal }} [options]
+ * @returns {Promise<any[]> | undefined}
+ */
+export const filterAsync = dualMode(async function filterAsync(items, fn, { limit = Infinity, ...options } = {}) {
+  const list = Array.from(items);
+  const { results, errors, total } = await run(list, limit, fn, options);
+  throwIfFailed(errors, total);
+  return list.filter((_, index) => results[index]);
+}, { arity: 2 });
+
+/**
+ * Process every item with `fn(item, index)` and report the outcome of each,
+ * in item order. Failures don't stop the batch unless `maxFailures` is set:
+ * once that many items have failed no new items start, items already in
+ * flight still finish, and the rest are reported as skipped.
+ *
+ *   const report = await runBatch(users, saveUser, { limit: 5 });
+ *   runBatch(users, saveUser, { maxFailures: 3 }, (err, report) => {});
+ *
+ * @param {Iterable} items
+ * @param {(item: any, index: number) => any} fn
+ * @param {{ limit?: number, maxFailures?: number, signal?: AbortSignal }} [options]
+ * @returns {Promise<{ total: number,
+ *   succeeded: Array<{ index: number, item: any, value: any }>,
+ *   failed: Array<{ index: number, item: any, error: unknown }>,
+ *   skipped: Array<{ index: number, item: any }> }> | undefined}
+ *   Only rejects when `signal` aborts or the arguments are invalid.
+ */
+export const runBatch = dualMode(async function runBatch(items, fn, { limit = Infinity, maxFailures = Infinity, signal } = {}) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('Expected the iteratee to be a function');
+  }
+  if (!(maxFailures === Infinity || (Number.isInteger(maxFailures) && maxFailures > 0))) {
+    throw new RangeError(`Expected maxFailures to be a positive integer or Infinity, got ${maxFailures}`);
+  }
+
+  const list = Array.from(items);
+  let failures = 0;
+
+  // Items reached after the limit is hit are passed through without calling `fn`
+  const attempt = (item, index) => {
+    if (failures >= maxFailures) return { outcome: 'skipped' };
+    return Promise.resolve()
+      .then(() => fn(item, index))
+      .then(
+        (value) => ({ outcome: 'succeeded', value }),
+        (error) => {
+          failures += 1;
+          return { outcome: 'failed', error };
+        }
+      );
+  };
+
+  const { results } = await run(list, limit, attempt, { signal });
+
+  const report = { total: list.length, succeeded: [], failed: [], skipped: [] };
+  for (const [index, { outcome, value, error }] of results.entries()) {
+    const item = list[index];
+    if (outcome === 'succeeded') report.succeeded.push({ index, item, value });
+    else if (outcome === 'failed') report.failed.push({ index, item, error });
+    else report.skipped.push({ index, item });
+  }
+  return report;
+}, { arity: 2 });
+
+// Worker pool shared by every helper. Resolves once all started items have
+// settled, or as soon as one fails when `stopOnError` is set or `signal` aborts.
+function run(items, limit, fn, { stopOnError = true, signal }) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('Expected the iteratee to be a function');
+  }
+  if (!(limit === Infinity || (Number.isInteger(limit) && limit > 0))) {
+    throw new RangeError(`Expected limit to be a positive integer or Infinity, got ${limit}`);
+  }
+
+  const list = Array.from(items);
+  const results = new Array(list.length);
+  const errors = [];
+
+  return new Promise((resolve, reject) => {
+    let next = 0;
+    let active = 0;
+    let stopped = false;
+
+    const finish = () => {
+      errors.sort((a, b) => a.index - b.index);
+      resolve({ results, errors: errors.map(({ error }) => error), total: list.length });
+    };
+
+    const launch = () => {
+      while (!stopped && active < limit && next < list.length) {
+        const index = next++;
+        active += 1;
+
+        Promise.resolve()
+          .then(() => fn(list[index], index))
+          .then(
+            (value) => { results[index] = value; },
+            (error) => {
+              if (stopOnError) {
+                stopped = true;
+                reject(error);
+              } else {
+                errors.push({ index, error });
+              }
+            }
+          )
+          .finally(() => {
+            active -= 1;
+            if (stopped) return;
+            if (signal?.aborted) {
+              stopped = true;
+              reject(new AbortError(undefined, { cause: signal.reason }));
+            } else if (next === list.length && active === 0) {
+              finish();
+            } else {
+              launch();
+            }
+          });
+      }
+    };
+
+    if (list.length === 0) finish();
+    else launch();
+  });
+}
+
+function throwIfFailed(errors, total) {
+  if (errors.length > 0) {
+    throw new AggregateError(errors, `${errors.length} of ${total} items failed`);
+  }
+}
@@ -0,0 +1,7 @@
+// Types for lib/conformance.js
+
+/** Certify a dual-mode adapter; resolves with the names of the passed checks. */
+export function assertDualMode(
+  fn: (...args: any[]) => any,
+  options: { successArgs: unknown[]; failureArgs?: unknown[]; settleMs?: number; timeout?: number }
+): Promise<string[]>;
@@ -0,0 +1,159 @@
+// ✅ Dual-mode conformance kit
+// Certifies that a function honours the dual-mode contract from
+// examples/4-dual-mode.js — the checks section 6 of test-suite.js makes for
+// dualModeFunc, made reusable for any adapter:
+//
+//   await assertDualMode(findUser, { successArgs: [42], failureArgs: [-1] });
+//
+// Callback mode (successArgs and failureArgs, each with a callback appended):
+//   - returns undefined
+//   - invokes the callback exactly once
+//   - invokes it asynchronously, never before the call returns (no Zalgo)
+//   - passes (null, result) on success and an Error instance on failure
+//   - causes no unhandled rejection
+// Promise mode (the same args, no callback):
+//   - returns a real Promise
+//   - resolves on success, rejects with an Error instance on failure
+
+import assert from 'node:assert/strict';
+
+/**
+ * Run every dual-mode check against `fn` and throw an AssertionError listing
+ * all the violations found, so one run shows everything wrong with an adapter.
+ *
+ * @param {Function} fn - Function under test.
+ * @param {object} options
+ * @param {any[]} options.successArgs - Arguments (without callback) that should succeed.
+ * @param {any[]} [options.failureArgs] - Arguments that should fail; failure checks are skipped without them.
+ * @param {number} [options.settleMs=20] - How long to keep watching for extra callbacks and unhandled rejections.
+ * @param {number} [options.timeout=1000] - How long to wait for a callback that never comes.
+ * @returns {Promise<string[]>} Names of the checks that passed.
+ */
+export async function assertDualMode(fn, { successArgs, failureArgs, settleMs = 20, timeout = 1000 } = {}) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('assertDualMode() expects a function');
+  }
+  if (!Array.isArray(successArgs)) {
+    throw new TypeError('assertDualMode() requires options.successArgs');
+  }
+
+  const cases = [['success', successArgs]];
+  if (failureArgs) cases.push(['failure', failureArgs]);
+
+  const passed = [];
+  const violations = [];
+
+  const check = (name, condition, detail) => {
+    if (condition) passed.push(name);
+    else violations.push(`${name}${detail ? ` (${detail})` : ''}`);
+  };
+
+  for (const [outcome, args] of cases) {
+    const call = await callInCallbackMode(fn, args, settleMs, timeout);
+    const [err] = call.calls[0] ?? [];
+
+    check(`callback mode (${outcome}): does not throw synchronously`, !call.threw, `threw ${show(call.threw)}`);
+
+    check(`callback mode (${outcome}): returns undefined`, call.returned === undefined, `returned ${show(call.returned)}`);
+    check(`callback mode (${outcome}): callback invoked exactly once`, call.calls.length === 1, `invoked ${call.calls.length} times`);
+    check(`callback mode (${outcome}): callback invoked asynchronously`, !call.sync, 'invoked before the call returned (Zalgo)');
+    check(`callback mode (${outcome}): no unhandled rejection`, call.unhandled.length === 0, `unhandled: ${call.unhandled.map(show).join(', ')}`);
+
+    if (outcome === 'success') {
+      check('callback mode (success): error argument is null', err == null, `got ${show(err)}`);
+    } else {
+      check('callback mode (failure): error is an Error instance', err instanceof Error, `got ${show(err)}`);
+    }
+
+    let returned;
+    try {
+      returned = fn(...args);
+    } catch (thrown) {
+      check(`promise mode (${outcome}): does not throw synchronously`, false, `threw ${show(thrown)}`);
+      continue;
+    }
+
+    const isPromise = returned instanceof Promise;
+    check(`promise mode (${outcome}): returns a real Promise`, isPromise, `returned ${show(returned)}`);
+    if (!isPromise) continue;
+
+    const settled = await returned.then(
+      (value) => ({ status: 'fulfilled', value }),
+      (reason) => ({ status: 'rejected', reason })
+    );
+
+    if (outcome === 'success') {
+      check('promise mode (success): resolves', settled.status === 'fulfilled', `rejected with ${show(settled.reason)}`);
+    } else {
+      check('promise mode (failure): rejects', settled.status === 'rejected', 'resolved');
+      if (settled.status === 'rejected') {
+        check('promise mode (failure): rejects with an Error instance', settled.reason instanceof Error, `got ${show(settled.reason)}`);
+      }
+    }
+  }
+
+  if (violations.length > 0) {
+    throw new assert.AssertionError({
+      message: `${fn.name || 'anonymous'}() is not correctly dual-mode:\n${violations.map((v) => `  - ${v}`).join('\n')}`,
+      operator: 'assertDualMode',
+      stackStartFn: assertDualMode,
+    });
+  }
+
+  return passed;
+}
+
+// Call with a recording callback, then keep watching for `settleMs` after the
+// first invocation to catch extra callbacks and late unhandled rejections
+function callInCallbackMode(fn, args, settleMs, timeout) {
+  return new Promise((resolve) => {
+    const calls = [];
+    const unhandled = [];
+    let returnedYet = false;
+    let sync = false;
+    let timer;
+
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+
+    const finish = (returned, threw) => {
+      clearTimeout(timer);
+      process.off('unhandledRejection', onUnhandled);
+      resolve({ calls, unhandled, sync, returned, threw });
+    };
+
+    let returned;
+    const watch = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => finish(returned), settleMs);
+    };
+
+    try {
+      returned = fn(...args, (...received) => {
+        if (!returnedYet) sync = true;
+        calls.push(received);
+        if (calls.length === 1) watch();
+      });
+    } catch (thrown) {
+      finish(undefined, thrown);
+      return;
+    }
+    returnedYet = true;
+
+    // In callback mode nobody consumes a returned promise, so its rejection is
+    // unhandled in practice. Record it here rather than let it crash the host.
+    if (typeof returned?.then === 'function') {
+      returned.then(undefined, (reason) => unhandled.push(reason));
+    }
+
+    // A callback that never comes
+    if (calls.length === 0) timer = setTimeout(() => finish(returned), timeout);
+  });
+}
+
+function show(value) {
+  if (value instanceof Promise) return 'a Promise';
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  if (typeof value === 'string') return JSON.stringify(value);
+  return String(value);
+}
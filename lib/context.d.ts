@@ -0,0 +1,12 @@
+// Types for lib/context.js
+
+import type { DualMode, DualModeOptions } from './dual-mode.js';
+
+/** Wrap `fn` so its callback always runs in the async context of the call. */
+export function bindContext<F extends (...args: any[]) => any>(fn: F, options?: DualModeOptions): F;
+
+/** `dualMode(fn)` whose callback is bound to the caller's async context. */
+export function dualModeWithContext<Args extends unknown[], Result>(
+  fn: (...args: Args) => Result,
+  options?: DualModeOptions
+): DualMode<Args, Awaited<Result>>;
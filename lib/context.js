@@ -0,0 +1,72 @@
+// 🧵 Async context through callbacks
+// AsyncLocalStorage keeps a value (a request ID, a tenant, a trace span) for
+// everything a call starts: Node's own timers, I/O callbacks and awaits carry
+// it along. A callback queue written in JavaScript doesn't. A connection pool
+// or batcher that stores callbacks and calls them from its own worker runs
+// them in the context of whoever started that worker:
+//
+//   requestContext.run({ requestId: 'req-2' }, () => {
+//     pool.query('SELECT 1', (err, rows) => {
+//       requestContext.getStore();   // req-1's store, or undefined
+//     });
+//   });
+//
+// Promise mode is safe: an `await` resumes in the context of the caller, even
+// when the promise was resolved from the queue. The callback path needs
+// `AsyncResource.bind()` at call time, which bindContext() adds to any
+// callback-only or dual-mode function. See examples/14-async-context.js
+
+import { AsyncResource } from 'node:async_hooks';
+import { dualMode } from './dual-mode.js';
+
+/**
+ * Wrap a function that takes an error-first callback last so the callback
+ * always runs in the async context of the call, whatever queue `fn` keeps it
+ * in before calling it.
+ *
+ * Calls without a callback are passed through untouched, so a dual-mode `fn`
+ * keeps its promise mode. `arity` works as for `dualMode()`: the last
+ * argument is only treated as the callback when more than `arity` arguments
+ * are passed. `this` is forwarded, and `name`/`length` are copied from `fn`.
+ *
+ * @param {Function} fn - Callback-only or dual-mode function.
+ * @param {{ arity?: number }} [options]
+ * @returns {Function} Version of `fn` whose callback keeps the caller's context.
+ */
+export function bindContext(fn, { arity = 0 } = {}) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('bindContext() expects a function');
+  }
+
+  const wrapped = function (...args) {
+    if (args.length > arity && typeof args.at(-1) === 'function') {
+      args.push(AsyncResource.bind(args.pop()));
+    }
+    return fn.apply(this, args);
+  };
+
+  Object.defineProperty(wrapped, 'name', { value: fn.name });
+  Object.defineProperty(wrapped, 'length', { value: fn.length });
+
+  return wrapped;
+}
+
+/**
+ * `dualMode(fn)` whose callback is bound to the caller's async context.
+ *
+ * dualMode() delivers the callback from a promise reaction registered during
+ * the call, which already runs in the caller's context. Binding it makes that
+ * a guarantee of the API rather than of how dualMode() happens to schedule
+ * the callback, and gives async_hooks the call site as the callback's
+ * trigger, as for any other callback API.
+ *
+ * @param {Function} fn - Function returning a promise (or a plain value).
+ * @param {{ arity?: number }} [options] - As for `dualMode()`.
+ * @returns {Function} Dual-mode version of `fn`.
+ */
+export function dualModeWithContext(fn, { arity = 0 } = {}) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('dualModeWithContext() expects a function');
+  }
+  return bindContext(dualMode(fn, { arity }), { arity });
+}
@@ -0,0 +1,20 @@
+// Types for lib/diagnostics.js
+
+export interface Diagnosis {
+  name: string;
+  explanation: string;
+  example: string;
+  url: string;
+}
+
+/** Add the async call chain and the probable mixing pattern to crash reports. */
+export function installDiagnostics(options?: {
+  output?: { write(text: string): any };
+  maxResources?: number;
+  chainDepth?: number;
+}): () => void;
+
+export function diagnosePattern(failure: {
+  origin: string;
+  frames: Array<{ fn?: string; file: string; line: number }>;
+}): Diagnosis | undefined;
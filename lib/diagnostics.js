@@ -0,0 +1,216 @@
+// 🩺 Crash diagnostics for mixed async code
+// The "worst case" in examples/1-broken-mixing.js and anti-pattern 2 in
+// examples/5-what-not-to-do.js crash with a bare stack that starts in a
+// setTimeout frame — nothing says who scheduled that timer. This module
+// records where every async resource was created (via async_hooks) and, when
+// the process is about to crash, prints:
+//   1. the async call chain that scheduled the failing callback
+//   2. which mixing pattern probably caused it, with a link to the example
+//
+// Recording a stack per async resource is expensive: enable it while
+// debugging or in staging, not in hot production paths.
+
+import { createHook, executionAsyncId } from 'node:async_hooks';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { REPO_URL } from './reporting.js';
+
+// A function expression whose first parameter is err/error/e
+const ERROR_FIRST_CALLBACK = /\(\s*(err|error|e)\b[^)]*\)\s*=>|function\s*\w*\s*\(\s*(err|error|e)\b/;
+
+const PATTERNS = [
+  {
+    name: 'await on a function that takes a callback',
+    explanation: 'The await finished (with undefined) before the callback ran, so the callback\'s throw escaped try/catch.',
+    example: 'examples/1-broken-mixing.js',
+    matches: ({ lines }) => lines.some((line) => /\bawait\b/.test(line) && ERROR_FIRST_CALLBACK.test(line)),
+  },
+  {
+    name: 'forEach with an async callback',
+    explanation: 'forEach discarded the promise returned by the async callback, so nothing handled its rejection.',
+    example: 'examples/7b-foreach-fails-silently.js',
+    matches: ({ frames, lines }) => frames.some((frame) => frame.fn === 'Array.forEach')
+      || lines.some((line) => /\.forEach\(\s*async\b/.test(line)),
+  },
+  {
+    name: 'throw inside an error-first callback',
+    explanation: 'The callback ran from a timer or I/O event, where no caller can catch what it throws.',
+    example: 'examples/5-what-not-to-do.js',
+    matches: ({ origin, lines }) => origin === 'uncaughtException'
+      && lines.some((line) => ERROR_FIRST_CALLBACK.test(line)),
+  },
+];
+
+/**
+ * Start recording async call chains and report crashes with them.
+ *
+ * Uncaught exceptions are observed through `uncaughtExceptionMonitor`, so the
+ * process still crashes exactly as it would without diagnostics. Unhandled
+ * rejections need an `unhandledRejection` listener to see the promise; when
+ * it's the only listener the process then exits with code 1, matching Node's
+ * default (`--unhandled-rejections=throw`).
+ *
+ * @param {object} [options]
+ * @param {{ write(text: string): any }} [options.output=process.stderr] - Where reports are written.
+ * @param {number} [options.maxResources=10000] - How many async resources to remember.
+ * @param {number} [options.chainDepth=8] - How many scheduling links to print.
+ * @returns {() => void} Uninstall function.
+ */
+export function installDiagnostics({
+  output = process.stderr,
+  maxResources = 10_000,
+  chainDepth = 8,
+} = {}) {
+  const resources = new Map();
+  const promiseIds = new WeakMap();
+  const reported = new WeakSet();
+
+  const hook = createHook({
+    init(asyncId, type, triggerAsyncId, resource) {
+      // Frames are formatted lazily, only if this resource ends up in a report
+      const createdAt = {};
+      Error.captureStackTrace(createdAt);
+
+      resources.set(asyncId, { type, triggerAsyncId, createdAt });
+      if (type === 'PROMISE') promiseIds.set(resource, asyncId);
+
+      if (resources.size > maxResources) {
+        resources.delete(resources.keys().next().value);
+      }
+    },
+  });
+
+  const report = (origin, error, asyncId) => {
+    if (error !== null && typeof error === 'object') {
+      if (reported.has(error)) return;
+      reported.add(error);
+    }
+
+    // Don't record our own reporting work while we print
+    hook.disable();
+    try {
+      output.write(formatReport(origin, error, chain(asyncId)));
+    } finally {
+      hook.enable();
+    }
+  };
+
+  // Follow triggerAsyncId links from the failing resource up to its roots
+  const chain = (asyncId) => {
+    const links = [];
+    let id = asyncId;
+    while (links.length < chainDepth && resources.has(id)) {
+      const { type, triggerAsyncId, createdAt } = resources.get(id);
+      links.push({ type, frames: parseFrames(createdAt.stack) });
+      id = triggerAsyncId;
+    }
+    return links;
+  };
+
+  const onUncaughtException = (error, origin) => {
+    // Rejections are reported by onUnhandledRejection, which can see the promise
+    if (origin === 'uncaughtException') report(origin, error, executionAsyncId());
+  };
+
+  const onUnhandledRejection = (reason, promise) => {
+    report('unhandledRejection', reason, promiseIds.get(promise));
+    if (process.listenerCount('unhandledRejection') === 1) {
+      output.write(`${reason?.stack ?? reason}\n`);
+      process.exit(1);
+    }
+  };
+
+  hook.enable();
+  process.on('uncaughtExceptionMonitor', onUncaughtException);
+  process.on('unhandledRejection', onUnhandledRejection);
+
+  return function uninstallDiagnostics() {
+    hook.disable();
+    process.off('uncaughtExceptionMonitor', onUncaughtException);
+    process.off('unhandledRejection', onUnhandledRejection);
+  };
+}
+
+/**
+ * Guess which mixing pattern produced a failure from the source lines along
+ * its async chain. Exported for testing and for custom reporters.
+ *
+ * @param {{ origin: string, frames: Array<{ fn?: string, file: string, line: number }> }} failure
+ * @returns {{ name: string, explanation: string, example: string, url: string } | undefined}
+ */
+export function diagnosePattern({ origin, frames }) {
+  const lines = frames.map(sourceLine).filter(Boolean);
+  const pattern = PATTERNS.find((candidate) => candidate.matches({ origin, frames, lines }));
+  if (!pattern) return undefined;
+
+  const { name, explanation, example } = pattern;
+  return { name, explanation, example, url: `${REPO_URL}/${example}` };
+}
+
+function formatReport(origin, error, links) {
+  const title = origin === 'unhandledRejection' ? 'Unhandled rejection' : 'Uncaught exception';
+  const out = [`\n💥 ${title}: ${error?.message ?? error}\n`];
+
+  if (links.length > 0) {
+    out.push('Async call chain (most recent first):\n');
+    for (const { type, frames } of links) {
+      const [first, ...rest] = frames;
+      if (!first) continue;
+      out.push(`  ${type.padEnd(12)} created at ${formatFrame(first)}\n`);
+      for (const frame of rest.slice(0, 2)) {
+        out.push(`  ${''.padEnd(12)}         from ${formatFrame(frame)}\n`);
+      }
+    }
+  } else {
+    out.push('No async call chain recorded (the failure happened outside a tracked resource).\n');
+  }
+
+  const errorFrames = parseFrames(error?.stack);
+  const diagnosis = diagnosePattern({
+    origin,
+    frames: [...errorFrames, ...links.flatMap(({ frames }) => frames)],
+  });
+
+  if (diagnosis) {
+    out.push(`\nProbable cause: ${diagnosis.name}\n`);
+    out.push(`  ${diagnosis.explanation}\n`);
+    out.push(`  See ${diagnosis.example} — ${diagnosis.url}\n`);
+  }
+
+  return `${out.join('')}\n`;
+}
+
+function formatFrame({ fn, file, line, column }) {
+  const location = `${file}:${line}:${column}`;
+  return fn ? `${fn} (${location})` : location;
+}
+
+// "    at fn (file:line:col)" / "    at file:line:col" → { fn, file, line, column },
+// keeping only application frames
+function parseFrames(stack = '') {
+  const frames = [];
+  for (const text of String(stack).split('\n')) {
+    const match = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/.exec(text);
+    if (!match) continue;
+
+    const [, fn, file, line, column] = match;
+    if (file.startsWith('node:') || file === import.meta.url || file === fileURLToPath(import.meta.url)) continue;
+
+    frames.push({ fn, file, line: Number(line), column: Number(column) });
+  }
+  return frames;
+}
+
+const sourceCache = new Map();
+
+function sourceLine({ file, line }) {
+  if (!sourceCache.has(file)) {
+    try {
+      const path = file.startsWith('file://') ? fileURLToPath(file) : file;
+      sourceCache.set(file, readFileSync(path, 'utf8').split('\n'));
+    } catch {
+      sourceCache.set(file, []);
+    }
+  }
+  return sourceCache.get(file)[line - 1];
+}
@@ -0,0 +1,52 @@
+// Types for lib/dual-mode.js
+// A dual-mode function has two signatures, picked by the last argument:
+//   fn(...args, callback) → void
+//   fn(...args)           → Promise<Result>
+// so `await fn(a, (err, res) => {})` (examples/1-broken-mixing.js) is typed
+// as awaiting `void`, and using its "result" is a compile error.
+
+/** Error-first callback receiving the outcome of one call. */
+export type Callback<Result> = (err: Error | null, result: Result) => void;
+
+/**
+ * `Args` followed by a callback. Optional trailing parameters may be left
+ * out before the callback, as at runtime: with
+ * `Args = [id: number, options?: Options]` both `(id, cb)` and
+ * `(id, options, cb)` are accepted.
+ */
+export type WithCallback<Args extends unknown[], Result> =
+  number extends Args['length'] ? [...Args, Callback<Result>]
+    : Args extends [] ? [callback: Callback<Result>]
+    : Args extends [infer Head, ...infer Tail] ? [Head, ...WithCallback<Tail, Result>]
+      : Args extends [(infer Head)?, ...infer Tail] ? [callback: Callback<Result>] | [Head, ...WithCallback<Tail, Result>]
+        : never;
+
+/** A function that supports both calling styles, one per call. */
+export interface DualMode<Args extends unknown[], Result> {
+  /** Callback mode: the outcome goes to `callback`, nothing is returned. */
+  (...args: WithCallback<Args, Result>): void;
+  /** Promise mode. */
+  (...args: Args): Promise<Result>;
+}
+
+export interface DualModeOptions {
+  /** Required argument count of `fn`, when it takes a function argument of its own. */
+  arity?: number;
+}
+
+/** The `{ signal }` option understood by every dual-mode helper. */
+export interface SignalOptions {
+  signal?: AbortSignal;
+}
+
+/** Wrap a promise-returning function so it can be called either way. */
+export function dualMode<Args extends unknown[], Result>(
+  fn: (...args: Args) => Result,
+  options?: DualModeOptions
+): DualMode<Args, Awaited<Result>>;
+
+/** The AbortSignal passed as `{ signal }` in the last argument position. */
+export function findSignal(args: readonly unknown[]): AbortSignal | undefined;
+
+/** `work`, or an AbortError as soon as `signal` aborts, whichever comes first. */
+export function abortable<Result>(work: Promise<Result>, signal: AbortSignal): Promise<Result>;
@@ -0,0 +1,123 @@
+// ✅ Reusable dual-mode wrapper
+// Turns any promise-returning function into one that supports BOTH calling
+// styles, but only ONE per call — the same contract as examples/4-dual-mode.js
+// without hand-writing the "detect callback, consume or return" branch.
+
+import { AbortError } from './errors.js';
+
+/**
+ * Wrap a promise-returning function so it can be called either way:
+ *
+ *   wrapped(a, b, (err, result) => {})  // callback mode → returns undefined
+ *   await wrapped(a, b)                 // promise mode  → returns the promise
+ *
+ * The callback is detected in the last argument position and is never passed
+ * on to `fn`. `this` is forwarded, and `name`/`length` are copied from `fn`.
+ *
+ * Functions that take a function argument of their own (an iteratee, a task)
+ * set `arity` to their required argument count: the last argument is then
+ * only treated as the callback when more than `arity` arguments are passed,
+ * so `eachSeries(items, iteratee)` stays in promise mode.
+ *
+ * When the last argument is an options object with an AbortSignal
+ * (`wrapped(id, { signal }, cb)`), aborting delivers an `AbortError` through
+ * the active channel — `callback(err)` or a rejection — right away, and a
+ * late result from `fn` is ignored. `fn` receives the same options, so it
+ * should listen to the signal itself to clear its pending work. If the signal
+ * is already aborted `fn` is not called at all; aborting after settlement
+ * changes nothing.
+ *
+ * In callback mode the callback runs on a fresh tick, outside the promise
+ * chain, so an exception thrown inside it surfaces as an uncaught exception
+ * (like any other callback API) instead of being swallowed or calling the
+ * callback a second time through `.catch()`.
+ *
+ * @param {Function} fn - Function returning a promise (or a plain value).
+ * @param {{ arity?: number }} [options]
+ * @returns {Function} Dual-mode version of `fn`.
+ */
+export function dualMode(fn, { arity = 0 } = {}) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('dualMode() expects a function');
+  }
+
+  const wrapped = function (...args) {
+    const callback = args.length > arity && typeof args.at(-1) === 'function'
+      ? args.pop()
+      : undefined;
+
+    const signal = findSignal(args);
+
+    // Runs `fn` inside the executor so a synchronous throw becomes a rejection.
+    // Work aborted before it starts is never started.
+    let work = signal?.aborted
+      ? Promise.reject(new AbortError(undefined, { cause: signal.reason }))
+      : new Promise((resolve) => resolve(fn.apply(this, args)));
+    if (signal && !signal.aborted) work = abortable(work, signal);
+
+    // CRITICAL PATTERN: Detect callback and branch
+    if (callback) {
+      // CALLBACK MODE: Consume the promise, return undefined
+      work.then(
+        (result) => process.nextTick(callback, null, result),
+        (err) => process.nextTick(callback, toError(err))
+      );
+      return;
+    }
+
+    // PROMISE MODE: Return promise only if no callback provided
+    return work;
+  };
+
+  Object.defineProperty(wrapped, 'name', { value: fn.name });
+  Object.defineProperty(wrapped, 'length', { value: fn.length });
+
+  return wrapped;
+}
+
+/**
+ * The AbortSignal passed as `{ signal }` in the last argument position, e.g.
+ * fn(id, { signal }) or fn(items, fn, { limit, signal }). Also used by the
+ * other wrappers in lib/ to follow the same convention.
+ *
+ * @param {any[]} args
+ * @returns {AbortSignal | undefined}
+ */
+export function findSignal(args) {
+  const options = args.at(-1);
+  return typeof options === 'object' && options !== null && options.signal instanceof AbortSignal
+    ? options.signal
+    : undefined;
+}
+
+/**
+ * Settle with `work`, or reject with an AbortError as soon as `signal`
+ * aborts, whichever comes first. The listener is removed before settling, so
+ * nothing can observe the result while it is still attached. Also used by the
+ * other helpers in lib/ to stop waiting on work that ignores the signal.
+ *
+ * @param {Promise<any>} work
+ * @param {AbortSignal} signal - Not yet aborted.
+ * @returns {Promise<any>}
+ */
+export function abortable(work, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new AbortError(undefined, { cause: signal.reason }));
+    const settle = (done) => (value) => {
+      signal.removeEventListener('abort', onAbort);
+      done(value);
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    work.then(settle(resolve), settle(reject));
+  });
+}
+
+// A rejection with a falsy reason (`reject()`, `reject(null)`) would look like
+// success to an error-first callback, so it is wrapped in a real Error.
+function toError(reason) {
+  if (reason) return reason;
+
+  const err = new Error('Promise was rejected with a falsy value');
+  err.reason = reason;
+  return err;
+}
@@ -0,0 +1,20 @@
+// Types for lib/emitters.js
+
+import type { EventEmitter } from 'node:events';
+import type { Callback, DualMode, SignalOptions } from './dual-mode.js';
+
+export interface WaitForEventOptions extends SignalOptions {
+  /** Events that reject the wait (default `['error']`). */
+  rejectOn?: Array<string | symbol>;
+}
+
+/** Settle with the first `event`, or fail with the first `rejectOn` event. */
+export function waitForEvent<Result = any>(emitter: EventEmitter, event: string | symbol, callback: Callback<Result>): void;
+export function waitForEvent<Result = any>(emitter: EventEmitter, event: string | symbol, options: WaitForEventOptions, callback: Callback<Result>): void;
+export function waitForEvent<Result = any>(emitter: EventEmitter, event: string | symbol, options?: WaitForEventOptions): Promise<Result>;
+
+/** Turn a function that starts emitter-based work into a dual-mode function. */
+export function fromEmitterApi<Args extends unknown[], Result = any>(
+  start: (...args: Args) => EventEmitter,
+  options: { resolveOn: string | symbol; rejectOn?: Array<string | symbol> }
+): DualMode<Args, Result>;
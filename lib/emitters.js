@@ -0,0 +1,113 @@
+// ✅ One-shot events in the dual-mode shape
+// Emitter-based APIs (a download, a connection, a child process) finish with
+// one event and fail with another. The usual hand-written bridge:
+//
+//   new Promise((resolve) => emitter.once('done', resolve))
+//
+// never rejects: an 'error' event crashes the process (no listener) or the
+// promise hangs forever. Adding `emitter.once('error', reject)` fixes that
+// but leaks: after 'done', the 'error' listener stays attached, one more per
+// call, until MaxListenersExceededWarning. events.once() removes its listeners
+// but only watches 'error', so a failure reported as 'timeout' or 'abort'
+// still hangs the caller.
+//
+// waitForEvent() listens to the success event and every failure event, and
+// removes ALL of its listeners as soon as one of them fires:
+//
+//   const file = await waitForEvent(download, 'done');
+//   waitForEvent(download, 'done', (err, file) => {});
+//
+// See examples/13-event-emitters.js.
+
+import { dualMode, findSignal } from './dual-mode.js';
+import { AbortError, AsyncMixError } from './errors.js';
+
+/**
+ * Settle with the first `event` emitted by `emitter`, or fail with the first
+ * of the `rejectOn` events. Every listener is removed on settlement, and on
+ * abort when `signal` is given.
+ *
+ * Resolves with the event's argument, or an array when it has several. A
+ * failure event emitted without an Error is wrapped in an AsyncMixError
+ * (code ERR_EVENT) that keeps the original arguments as `args`.
+ *
+ * @param {import('node:events').EventEmitter} emitter
+ * @param {string | symbol} event
+ * @param {{ rejectOn?: Array<string | symbol>, signal?: AbortSignal }} [options]
+ * @returns {Promise<any> | undefined} Promise in promise mode, undefined with a callback.
+ */
+export const waitForEvent = dualMode(function waitForEvent(emitter, event, { rejectOn = ['error'], signal } = {}) {
+  if (typeof emitter?.on !== 'function' || typeof emitter.removeListener !== 'function') {
+    throw new TypeError('waitForEvent() expects an EventEmitter');
+  }
+
+  return new Promise((resolve, reject) => {
+    const onEvent = (...args) => {
+      cleanup();
+      resolve(args.length > 1 ? args : args[0]);
+    };
+
+    const failures = rejectOn.map((name) => [name, (...args) => {
+      cleanup();
+      reject(toError(name, args));
+    }]);
+
+    const onAbort = () => {
+      cleanup();
+      reject(new AbortError(undefined, { cause: signal.reason }));
+    };
+
+    function cleanup() {
+      emitter.removeListener(event, onEvent);
+      for (const [name, listener] of failures) emitter.removeListener(name, listener);
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    emitter.on(event, onEvent);
+    for (const [name, listener] of failures) emitter.on(name, listener);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}, { arity: 2 });
+
+/**
+ * Turn a function that starts emitter-based work into a dual-mode function:
+ *
+ *   const download = fromEmitterApi((url) => new Download(url), { resolveOn: 'done' });
+ *   download(url, (err, file) => {});  // callback mode → undefined
+ *   const file = await download(url);  // promise mode
+ *
+ * `start` must return the emitter synchronously and emit asynchronously
+ * (as Node's own emitters do), so no event fires before the listeners exist.
+ * A `{ signal }` last argument is passed to `start` and also stops the wait.
+ *
+ * @param {(...args: any[]) => import('node:events').EventEmitter} start
+ * @param {{ resolveOn: string | symbol, rejectOn?: Array<string | symbol> }} options
+ * @returns {Function} Dual-mode function settling with the first matching event.
+ */
+export function fromEmitterApi(start, { resolveOn, rejectOn = ['error'] } = {}) {
+  if (typeof start !== 'function') {
+    throw new TypeError('fromEmitterApi() expects a function');
+  }
+  if (resolveOn === undefined) {
+    throw new TypeError('fromEmitterApi() expects a resolveOn event name');
+  }
+
+  const wrapped = dualMode(function (...args) {
+    const signal = findSignal(args);
+    return waitForEvent(start.apply(this, args), resolveOn, { rejectOn, signal });
+  });
+
+  Object.defineProperty(wrapped, 'name', { value: start.name });
+  Object.defineProperty(wrapped, 'length', { value: start.length });
+
+  return wrapped;
+}
+
+// Failure events don't always carry an Error ('timeout', 'close' with a code)
+function toError(name, args) {
+  if (args[0] instanceof Error) return args[0];
+
+  const err = new AsyncMixError('ERR_EVENT', `Emitter failed with a '${String(name)}' event`);
+  err.args = args;
+  return err;
+}
@@ -0,0 +1,32 @@
+// Types for lib/errors.js
+
+export class AsyncMixError extends Error {
+  constructor(code: string, message: string, options?: ErrorOptions);
+  /** Stable machine-readable code, e.g. 'ERR_MULTIPLE_CALLBACK'. */
+  code: string;
+}
+
+export class AbortError extends AsyncMixError {
+  constructor(message?: string, options?: ErrorOptions);
+  code: 'ABORT_ERR';
+}
+
+export class TimeoutError extends AsyncMixError {
+  constructor(message: string, timeout: number);
+  code: 'ERR_TIMEOUT';
+  /** The limit that was exceeded, in ms. */
+  timeout: number;
+}
+
+export interface RetryAttempt {
+  attempt: number;
+  error: unknown;
+  /** Wait before the next attempt in ms; absent for the last one. */
+  delay?: number;
+}
+
+export class RetryError extends AsyncMixError {
+  constructor(message: string, attempts: RetryAttempt[]);
+  code: 'ERR_RETRY';
+  attempts: RetryAttempt[];
+}
@@ -0,0 +1,65 @@
+// Error type shared by the helpers in lib/
+// Every failure the helpers create themselves carries a stable `code`, so
+// callers can branch on `err.code` instead of parsing messages.
+
+export class AsyncMixError extends Error {
+  /**
+   * @param {string} code - Stable machine-readable code, e.g. 'ERR_MULTIPLE_CALLBACK'.
+   * @param {string} message - Human-readable description.
+   * @param {{ cause?: unknown }} [options] - Standard Error options.
+   */
+  constructor(code, message, options) {
+    super(message, options);
+    this.name = 'AsyncMixError';
+    this.code = code;
+  }
+}
+
+/**
+ * Rejection / callback error for work cancelled through an AbortSignal.
+ * Matches Node's own AbortError: `name` 'AbortError', `code` 'ABORT_ERR',
+ * and the signal's `reason` as `cause`.
+ */
+export class AbortError extends AsyncMixError {
+  /**
+   * @param {string} [message]
+   * @param {{ cause?: unknown }} [options] - Pass `{ cause: signal.reason }`.
+   */
+  constructor(message = 'The operation was aborted', options) {
+    super('ABORT_ERR', message, options);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Failure of a call that didn't settle before its deadline (lib/timeout.js).
+ * `timeout` holds the limit in ms.
+ */
+export class TimeoutError extends AsyncMixError {
+  /**
+   * @param {string} message
+   * @param {number} timeout - The limit that was exceeded, in ms.
+   */
+  constructor(message, timeout) {
+    super('ERR_TIMEOUT', message);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Final failure of a call wrapped with retry() (lib/retry.js). `cause` is the
+ * last attempt's error and `attempts` the history of every attempt:
+ * `{ attempt, error, delay }`, where `delay` is the wait before the next one.
+ */
+export class RetryError extends AsyncMixError {
+  /**
+   * @param {string} message
+   * @param {Array<{ attempt: number, error: unknown, delay?: number }>} attempts
+   */
+  constructor(message, attempts) {
+    super('ERR_RETRY', message, { cause: attempts.at(-1).error });
+    this.name = 'RetryError';
+    this.attempts = attempts;
+  }
+}
@@ -0,0 +1,8 @@
+// CommonJS entry point: const { dualMode } = require('async-mix-and-match');
+// Loads the ES modules through require(esm) (Node 20.19+ / 22.12+), so
+// CommonJS and ESM callers share one copy of every module: an AbortError
+// thrown for one is `instanceof AbortError` for the other.
+
+'use strict';
+
+module.exports = require('./index.js');
@@ -0,0 +1,29 @@
+// Types for lib/index.js (and lib/index.cjs)
+
+export { dualMode, type Callback, type DualMode, type DualModeOptions, type SignalOptions, type WithCallback } from './dual-mode.js';
+export { promisify } from './promisify.js';
+export { dezalgo, type ZalgoReport } from './zalgo.js';
+export { withTimeout } from './timeout.js';
+export { retry, type RetryOptions } from './retry.js';
+export {
+  eachSeries,
+  filterAsync,
+  mapConcurrent,
+  mapSettled,
+  runBatch,
+  type BatchOptions,
+  type BatchReport,
+  type CollectionOptions,
+  type FilterOptions,
+  type Iteratee,
+  type SettledOptions,
+} from './collections.js';
+export { fromEmitterApi, waitForEvent, type WaitForEventOptions } from './emitters.js';
+export { fromCallbackPages, fromEmitter, type FromEmitterOptions, type Page } from './async-iterators.js';
+export { guardSettlement, type SettlementReport } from './settlement-guard.js';
+export { trackPending, type PendingTask, type PendingTracker } from './pending.js';
+export { createVirtualClock, seededRandom, systemClock, type Clock, type Timer, type VirtualClock } from './clock.js';
+export { bindContext, dualModeWithContext } from './context.js';
+export { diagnosePattern, installDiagnostics, type Diagnosis } from './diagnostics.js';
+export { assertDualMode } from './conformance.js';
+export { AbortError, AsyncMixError, RetryError, TimeoutError, type RetryAttempt } from './errors.js';
@@ -0,0 +1,20 @@
+// Package entry point: every helper in lib/, one import away.
+//   import { dualMode, mapConcurrent } from 'async-mix-and-match';
+// Each module is also exported on its own path:
+//   import { dualMode } from 'async-mix-and-match/dual-mode';
+
+export { dualMode } from './dual-mode.js';
+export { promisify } from './promisify.js';
+export { dezalgo } from './zalgo.js';
+export { withTimeout } from './timeout.js';
+export { retry } from './retry.js';
+export { eachSeries, filterAsync, mapConcurrent, mapSettled, runBatch } from './collections.js';
+export { fromEmitterApi, waitForEvent } from './emitters.js';
+export { fromCallbackPages, fromEmitter } from './async-iterators.js';
+export { guardSettlement } from './settlement-guard.js';
+export { trackPending } from './pending.js';
+export { createVirtualClock, seededRandom, systemClock } from './clock.js';
+export { bindContext, dualModeWithContext } from './context.js';
+export { diagnosePattern, installDiagnostics } from './diagnostics.js';
+export { assertDualMode } from './conformance.js';
+export { AbortError, AsyncMixError, RetryError, TimeoutError } from './errors.js';
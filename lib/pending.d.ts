@@ -0,0 +1,28 @@
+// Types for lib/pending.js
+
+import type { Clock } from './clock.js';
+import type { DualMode } from './dual-mode.js';
+
+export interface PendingTask {
+  label: string;
+  pendingMs: number;
+}
+
+export interface PendingTracker {
+  /** Register a promise; the returned promise has the same outcome. */
+  track<T>(promise: PromiseLike<T> | T, label?: string): Promise<Awaited<T>>;
+  /** Wait for every tracked task; rejects with ERR_DRAIN_TIMEOUT. */
+  drain: DualMode<[options?: { timeout?: number }], void>;
+  list(): PendingTask[];
+  dispose(): void;
+  readonly size: number;
+}
+
+/** Track fire-and-forget promises and report those lost at exit. */
+export function trackPending(options?: {
+  timeout?: number;
+  hookProcess?: boolean;
+  exitCode?: number;
+  onUnsettled?: (tasks: PendingTask[]) => void;
+  clock?: Clock;
+}): PendingTracker;
@@ -0,0 +1,161 @@
+// 🛟 In-flight work tracker
+// examples/7c-foreach-exits-early.js shows the process exiting with code 0
+// while fire-and-forget writes are still pending. Register that kind of work
+// here and it can be drained before shutdown — and whatever never settles is
+// reported instead of silently lost.
+//
+//   const pending = trackPending();
+//   users.forEach((user) => pending.track(saveUser(user), `save ${user}`));
+//   await pending.drain({ timeout: 2000 });
+
+import { systemClock } from './clock.js';
+import { dualMode } from './dual-mode.js';
+import { AsyncMixError } from './errors.js';
+
+/**
+ * @typedef {object} PendingTask
+ * @property {string} label - Label passed to `track()`.
+ * @property {number} pendingMs - How long the task has been pending.
+ */
+
+/**
+ * Create a registry for fire-and-forget promises.
+ *
+ * With `hookProcess` (the default) the registry also watches the process:
+ *   - `beforeExit`  the event loop ran dry with work still pending: drain it
+ *                   (the drain timer keeps the process alive meanwhile)
+ *   - `SIGTERM`     drain, then let the signal terminate the process
+ *   - `exit`        last chance: report anything still unsettled
+ * When work is reported as lost, `process.exitCode` is set to `exitCode` so
+ * the failure shows up in the exit status instead of a clean 0.
+ *
+ * @param {object} [options]
+ * @param {number} [options.timeout=5000] - Default drain timeout in ms.
+ * @param {boolean} [options.hookProcess=true] - Install the process hooks above.
+ * @param {number} [options.exitCode=1] - Exit code used when work was lost.
+ * @param {(tasks: PendingTask[]) => void} [options.onUnsettled] - Called with the tasks that never settled; defaults to a summary on stderr.
+ * @param {object} [options.clock=systemClock] - Measures `pendingMs` and times `drain()` (lib/clock.js).
+ */
+export function trackPending({
+  timeout = 5000,
+  hookProcess = true,
+  exitCode = 1,
+  onUnsettled = printSummary,
+  clock = systemClock,
+} = {}) {
+  const tasks = new Map();
+  const waiters = new Set();
+  let nextId = 1;
+  let flushing = false;
+  let reported = false;
+
+  const list = () => Array.from(tasks.values(), ({ label, startedAt }) => ({
+    label,
+    pendingMs: clock.now() - startedAt,
+  }));
+
+  /**
+   * Register a promise. Returns a promise with the same outcome: ignore it for
+   * fire-and-forget work, and a rejection still surfaces as unhandled — the
+   * tracker never hides errors.
+   *
+   * @param {PromiseLike<any>} promise
+   * @param {string} [label]
+   * @returns {Promise<any>}
+   */
+  function track(promise, label = `task #${nextId}`) {
+    const id = nextId++;
+    tasks.set(id, { label, startedAt: clock.now() });
+
+    return Promise.resolve(promise).finally(() => {
+      tasks.delete(id);
+      for (const waiter of waiters) waiter();
+    });
+  }
+
+  /**
+   * Wait for every tracked task to settle. Rejects with ERR_DRAIN_TIMEOUT —
+   * with the unsettled tasks on `err.pending` — if that takes longer than
+   * `timeout` ms. Dual-mode: `drain(options, callback)` also works.
+   */
+  const drain = dualMode(function drain({ timeout: ms = timeout } = {}) {
+    return new Promise((resolve, reject) => {
+      if (tasks.size === 0) {
+        resolve();
+        return;
+      }
+
+      const timer = clock.setTimeout(() => {
+        waiters.delete(waiter);
+        const err = new AsyncMixError(
+          'ERR_DRAIN_TIMEOUT',
+          `${tasks.size} pending task(s) did not settle within ${ms}ms`
+        );
+        err.pending = list();
+        reject(err);
+      }, ms);
+
+      const waiter = () => {
+        if (tasks.size > 0) return;
+        clock.clearTimeout(timer);
+        waiters.delete(waiter);
+        resolve();
+      };
+      waiters.add(waiter);
+    });
+  });
+
+  const report = () => {
+    if (reported || tasks.size === 0) return;
+    reported = true;
+    onUnsettled(list());
+    if (!process.exitCode) process.exitCode = exitCode;
+  };
+
+  const onBeforeExit = () => {
+    // beforeExit fires again once the drain finishes; only flush once
+    if (flushing || tasks.size === 0) return;
+    flushing = true;
+    drain().catch(report);
+  };
+
+  const onSigterm = () => {
+    drain().catch(report).finally(() => {
+      dispose();
+      // Re-raise so the default handler terminates the process, unless the
+      // application installed its own SIGTERM handling
+      if (process.listenerCount('SIGTERM') === 0) process.kill(process.pid, 'SIGTERM');
+    });
+  };
+
+  function dispose() {
+    process.off('beforeExit', onBeforeExit);
+    process.off('SIGTERM', onSigterm);
+    process.off('exit', report);
+  }
+
+  if (hookProcess) {
+    process.on('beforeExit', onBeforeExit);
+    process.on('SIGTERM', onSigterm);
+    process.on('exit', report);
+  }
+
+  return {
+    track,
+    drain,
+    /** Snapshot of the tasks still pending. */
+    list,
+    /** Remove the process hooks. */
+    dispose,
+    get size() {
+      return tasks.size;
+    },
+  };
+}
+
+function printSummary(tasks) {
+  console.error(`\n⚠️  ${tasks.length} pending task(s) never settled — this work was lost:`);
+  for (const { label, pendingMs } of tasks) {
+    console.error(`   - ${label} (pending ${pendingMs}ms)`);
+  }
+}
@@ -0,0 +1,13 @@
+// Types for lib/promisify.js
+
+/** Adapt an error-first callback function into a promise-returning one. */
+export function promisify<Args extends unknown[], Result>(
+  fn: (...args: [...Args, (err: any, result: Result) => void]) => void,
+  options?: { multiArgs?: false }
+): (...args: Args) => Promise<Result>;
+
+/** With `multiArgs: true` resolves with an array, with names with an object. */
+export function promisify<Args extends unknown[]>(
+  fn: (...args: [...Args, (err: any, ...results: any[]) => void]) => void,
+  options: { multiArgs: true | string[] }
+): (...args: Args) => Promise<any>;
@@ -0,0 +1,100 @@
+// ✅ Callback → promise adapter
+// Lets async code call legacy callback-only functions (like
+// callbackBasedFunction in examples/1-broken-mixing.js) with `await`,
+// instead of awaiting a function that returns undefined.
+//
+// Unlike util.promisify, the mistakes legacy functions make are turned into
+// rejections with a stable `code` rather than silent failures:
+//   - ERR_SYNC_THROW         the function threw before calling back
+//   - ERR_MULTIPLE_CALLBACK  the callback was called more than once
+
+import { AsyncMixError } from './errors.js';
+
+/**
+ * Adapt an error-first callback function into a promise-returning one.
+ *
+ * Multi-value callbacks (`cb(err, a, b)`) can be kept with `multiArgs`:
+ *   - `true`               → resolves with `[a, b]`
+ *   - `['user', 'created']` → resolves with `{ user: a, created: b }`
+ * Without it only the first value is kept.
+ *
+ * Settlement waits one microtask after the first callback, so a function that
+ * calls back twice in the same tick (the classic missing `return` after
+ * `callback(err)`) rejects with ERR_MULTIPLE_CALLBACK. Extra calls arriving
+ * after the promise has settled can no longer change it; they are reported
+ * with `process.emitWarning` under the same code.
+ *
+ * @param {Function} fn - Function taking an error-first callback last.
+ * @param {{ multiArgs?: boolean | string[] }} [options]
+ * @returns {Function} Promise-returning version of `fn`.
+ */
+export function promisify(fn, { multiArgs = false } = {}) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('promisify() expects a function');
+  }
+
+  const name = fn.name || 'anonymous';
+
+  const promisified = function (...args) {
+    return new Promise((resolve, reject) => {
+      let calls = 0;
+      let settled = false;
+
+      const fail = (err) => {
+        settled = true;
+        reject(err);
+      };
+
+      const callback = (err, ...values) => {
+        calls += 1;
+
+        if (settled) {
+          process.emitWarning(`${name}() called its callback ${calls} times`, {
+            code: 'ERR_MULTIPLE_CALLBACK',
+            detail: 'The promise had already settled; the extra call was ignored.',
+          });
+          return;
+        }
+
+        if (calls > 1) {
+          fail(new AsyncMixError(
+            'ERR_MULTIPLE_CALLBACK',
+            `${name}() called its callback more than once`
+          ));
+          return;
+        }
+
+        queueMicrotask(() => {
+          if (settled) return;
+          settled = true;
+          if (err) reject(err);
+          else resolve(collect(values, multiArgs));
+        });
+      };
+
+      try {
+        fn.call(this, ...args, callback);
+      } catch (err) {
+        // Already rejected with ERR_MULTIPLE_CALLBACK; that is the louder bug
+        if (settled) return;
+        fail(new AsyncMixError(
+          'ERR_SYNC_THROW',
+          `${name}() threw synchronously: ${err?.message ?? err}`,
+          { cause: err }
+        ));
+      }
+    });
+  };
+
+  Object.defineProperty(promisified, 'name', { value: fn.name });
+  Object.defineProperty(promisified, 'length', { value: Math.max(fn.length - 1, 0) });
+
+  return promisified;
+}
+
+function collect(values, multiArgs) {
+  if (Array.isArray(multiArgs)) {
+    return Object.fromEntries(multiArgs.map((key, i) => [key, values[i]]));
+  }
+  return multiArgs ? values : values[0];
+}
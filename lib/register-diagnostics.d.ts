@@ -0,0 +1,2 @@
+// Types for lib/register-diagnostics.js (side effects only)
+export {};
@@ -0,0 +1,6 @@
+// Preload entry point: enables crash diagnostics without touching the app.
+// Run with: node --import ./lib/register-diagnostics.js app.js
+
+import { installDiagnostics } from './diagnostics.js';
+
+installDiagnostics();
@@ -0,0 +1,7 @@
+// Types for lib/reporting.js
+
+export const REPO_URL: string;
+
+export function captureCallSite(wrapper: (...args: any[]) => any): string;
+
+export function emitReport(report: { code: string; message: string; callSite: string }): void;
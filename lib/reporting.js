@@ -0,0 +1,29 @@
+// Shared helpers for the development-mode instrumentation wrappers
+// (settlement-guard.js, zalgo.js): call-site capture and the default reporter.
+
+// Base of the example links in diagnostics.js reports and the ESLint rule docs
+export const REPO_URL = 'https://github.com/jeffcaradona/async-mix-and-match/blob/main';
+
+/**
+ * Stack trace of the current call, starting at the caller of `wrapper`.
+ *
+ * @param {Function} wrapper - Frames above and including this function are omitted.
+ * @returns {string}
+ */
+export function captureCallSite(wrapper) {
+  const holder = {};
+  Error.captureStackTrace(holder, wrapper);
+  return holder.stack.replace(/^Error\n/, '');
+}
+
+/**
+ * Default `onReport`: a process warning carrying the report code and call site.
+ *
+ * @param {{ code: string, message: string, callSite: string }} report
+ */
+export function emitReport(report) {
+  process.emitWarning(report.message, {
+    code: report.code,
+    detail: `Called from:\n${report.callSite}`,
+  });
+}
@@ -0,0 +1,25 @@
+// Types for lib/retry.js
+
+import type { Clock } from './clock.js';
+import type { DualMode, DualModeOptions } from './dual-mode.js';
+
+export interface RetryOptions extends DualModeOptions {
+  /** Attempts after the first one (default 3). */
+  retries?: number;
+  backoff?: 'exponential' | 'linear' | 'constant' | ((attempt: number, delay: number) => number);
+  /** Base wait in ms (default 100). */
+  delay?: number;
+  /** Upper bound for a single wait in ms (default 30000). */
+  maxDelay?: number;
+  /** Share of the wait to randomize, 0 to 1 (`true` = 1). */
+  jitter?: boolean | number;
+  retryIf?: (error: unknown, attempt: number) => boolean | PromiseLike<boolean>;
+  /** Source of the waits and the jitter (default systemClock). */
+  clock?: Clock;
+}
+
+/** Wrap `fn` so failed calls are tried again; gives up with a RetryError. */
+export function retry<Args extends unknown[], Result>(
+  fn: (...args: Args) => Result,
+  options?: RetryOptions
+): DualMode<Args, Awaited<Result>>;
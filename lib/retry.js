@@ -0,0 +1,109 @@
+// ✅ Retrying transient failures
+// The saveUser("Charlie") failure in examples/7b-foreach-fails-silently.js is
+// the kind of error worth a second try: a dropped connection, a lock timeout.
+// retry() wraps a promise-returning or dual-mode function and returns a
+// dual-mode one that:
+//   - retries the failures `retryIf` accepts, waiting longer between each
+//     attempt (exponential backoff with jitter by default)
+//   - fails with a RetryError (code ERR_RETRY) once it gives up, through the
+//     active channel: `cause` is the last error, `attempts` the full history
+//   - never retries an AbortError, and stops waiting when `{ signal }` aborts
+//
+// Wrap the iteratee, not the batch, so only the items that failed are retried:
+//   await mapConcurrent(users, 5, retry(saveUser, { retries: 3 }));
+//
+// Combine with lib/timeout.js to retry calls that hang:
+//   retry(withTimeout(saveUser, 1000))
+
+import { systemClock } from './clock.js';
+import { dualMode, findSignal } from './dual-mode.js';
+import { RetryError } from './errors.js';
+
+const BACKOFF = {
+  exponential: (attempt, delay) => delay * 2 ** (attempt - 1),
+  linear: (attempt, delay) => delay * attempt,
+  constant: (attempt, delay) => delay,
+};
+
+/**
+ * Wrap `fn` so failed calls are tried again.
+ *
+ * The wait after attempt `n` is `backoff(n, delay)`, capped at `maxDelay`,
+ * then reduced by a random share of up to `jitter` (1 = anywhere between 0 and
+ * the full wait) so that many callers failing together don't retry together.
+ *
+ * @param {Function} fn - Promise-returning or dual-mode function.
+ * @param {object} [options]
+ * @param {number} [options.retries=3] - Attempts after the first one.
+ * @param {'exponential' | 'linear' | 'constant' | ((attempt: number, delay: number) => number)} [options.backoff='exponential']
+ * @param {number} [options.delay=100] - Base wait in ms.
+ * @param {number} [options.maxDelay=30000] - Upper bound for a single wait in ms.
+ * @param {boolean | number} [options.jitter=true] - Share of the wait to randomize, 0 to 1 (true = 1).
+ * @param {(error: unknown, attempt: number) => boolean | Promise<boolean>} [options.retryIf] - Whether
+ *   an error is worth retrying; by default every error except an AbortError.
+ * @param {number} [options.arity=0] - As for `dualMode()`, when `fn` takes a function argument.
+ * @param {object} [options.clock=systemClock] - Source of the waits and the jitter; a virtual
+ *   clock (lib/clock.js) makes both deterministic.
+ * @returns {Function} Dual-mode version of `fn` that retries.
+ */
+export function retry(fn, {
+  retries = 3,
+  backoff = 'exponential',
+  delay = 100,
+  maxDelay = 30_000,
+  jitter = true,
+  retryIf = () => true,
+  arity = 0,
+  clock = systemClock,
+} = {}) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('retry() expects a function');
+  }
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new RangeError(`retry() expects retries to be a non-negative integer, got ${retries}`);
+  }
+  const waitFor = typeof backoff === 'function' ? backoff : BACKOFF[backoff];
+  if (!waitFor) {
+    throw new TypeError(`Unknown backoff "${backoff}", expected one of ${Object.keys(BACKOFF).join(', ')} or a function`);
+  }
+  const spread = jitter === true ? 1 : jitter === false ? 0 : jitter;
+  if (!(spread >= 0 && spread <= 1)) {
+    throw new RangeError(`retry() expects jitter to be a boolean or a number from 0 to 1, got ${jitter}`);
+  }
+
+  const name = fn.name || 'anonymous';
+
+  const retrying = dualMode(async function (...args) {
+    const signal = findSignal(args);
+    const attempts = [];
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn.apply(this, args);
+      } catch (error) {
+        const entry = { attempt, error };
+        attempts.push(entry);
+
+        // dualMode() has already delivered the AbortError; stop quietly
+        if (signal?.aborted || error?.name === 'AbortError') throw error;
+
+        if (attempt > retries || !(await retryIf(error, attempt))) {
+          const detail = error instanceof Error ? error.message : String(error);
+          throw new RetryError(
+            `${name}() failed after ${attempt} attempt${attempt === 1 ? '' : 's'}: ${detail}`,
+            attempts
+          );
+        }
+
+        const wait = Math.min(maxDelay, waitFor(attempt, delay));
+        entry.delay = Math.round(wait * (1 - spread * clock.random()));
+        await clock.sleep(entry.delay, undefined, { signal });
+      }
+    }
+  }, { arity });
+
+  Object.defineProperty(retrying, 'name', { value: fn.name });
+  Object.defineProperty(retrying, 'length', { value: fn.length });
+
+  return retrying;
+}
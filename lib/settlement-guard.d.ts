@@ -0,0 +1,16 @@
+// Types for lib/settlement-guard.js
+
+export interface SettlementReport {
+  code: 'ERR_MULTIPLE_CALLBACK' | 'ERR_CALLBACK_AND_PROMISE' | 'ERR_CALLBACK_TIMEOUT';
+  name: string;
+  message: string;
+  callbackCalls: number;
+  promise: 'resolved' | 'rejected' | undefined;
+  callSite: string;
+}
+
+/** Watch every call of a callback-accepting function for double settlement. */
+export function guardSettlement<F extends (...args: any[]) => any>(
+  fn: F,
+  options?: { timeout?: number; onReport?: (report: SettlementReport) => void; enabled?: boolean }
+): F;
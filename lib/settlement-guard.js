@@ -0,0 +1,114 @@
+// 🔬 Development-mode settlement guard
+// Wraps any callback-accepting function and watches every invocation for the
+// double-settlement bugs shown by badDualMode (examples/6-bad-vs-good-dualmode.js)
+// and versatileFunction (examples/5-what-not-to-do.js):
+//   - ERR_MULTIPLE_CALLBACK     the callback fired more than once
+//   - ERR_CALLBACK_AND_PROMISE  the callback fired AND the returned promise settled
+//   - ERR_CALLBACK_TIMEOUT      the callback never fired within `timeout` ms
+//
+// Meant for staging: wrap third-party functions to find the ones that misbehave.
+
+import { captureCallSite, emitReport } from './reporting.js';
+
+/**
+ * @typedef {object} SettlementReport
+ * @property {string} code - One of the ERR_* codes above.
+ * @property {string} name - Name of the guarded function.
+ * @property {string} message - Human-readable description.
+ * @property {number} callbackCalls - How many times the callback had fired.
+ * @property {'resolved' | 'rejected' | undefined} promise - How the returned promise settled, if it did.
+ * @property {string} callSite - Stack trace of the call that produced the problem.
+ */
+
+/**
+ * Instrument `fn` so each invocation is checked for double settlement.
+ *
+ * Only callback-mode calls (last argument is a function) are tracked; promise
+ * mode has a single channel and can't double-settle. In callback mode the
+ * returned promise, if any, is observed — which also marks its rejection as
+ * handled, since a rejection there is already reported as a problem.
+ *
+ * @param {Function} fn - Function to guard.
+ * @param {object} [options]
+ * @param {number} [options.timeout=5000] - ms to wait for the callback; 0 disables.
+ * @param {(report: SettlementReport) => void} [options.onReport] - Defaults to `process.emitWarning`.
+ * @param {boolean} [options.enabled] - Defaults to `NODE_ENV !== 'production'`; when false `fn` is returned as-is.
+ * @returns {Function} Guarded version of `fn`.
+ */
+export function guardSettlement(fn, {
+  timeout = 5000,
+  onReport = emitReport,
+  enabled = process.env.NODE_ENV !== 'production',
+} = {}) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('guardSettlement() expects a function');
+  }
+
+  if (!enabled) return fn;
+
+  const name = fn.name || 'anonymous';
+
+  const guarded = function (...args) {
+    if (typeof args.at(-1) !== 'function') {
+      return fn.apply(this, args);
+    }
+
+    const callSite = captureCallSite(guarded);
+    const callback = args.pop();
+    const state = { callbackCalls: 0, promise: undefined };
+
+    const report = (code, message) => {
+      onReport({ code, name, message, ...state, callSite });
+    };
+
+    const timer = timeout > 0
+      ? setTimeout(() => {
+        report('ERR_CALLBACK_TIMEOUT', `${name}() did not call its callback within ${timeout}ms`);
+      }, timeout).unref()
+      : undefined;
+
+    const checkBoth = () => {
+      if (state.callbackCalls > 0 && state.promise) {
+        report('ERR_CALLBACK_AND_PROMISE', `${name}() called its callback AND ${state.promise} its promise`);
+      }
+    };
+
+    args.push(function (...results) {
+      state.callbackCalls += 1;
+      clearTimeout(timer);
+
+      if (state.callbackCalls === 2) {
+        report('ERR_MULTIPLE_CALLBACK', `${name}() called its callback more than once`);
+      } else if (state.callbackCalls === 1) {
+        checkBoth();
+      }
+
+      return callback.apply(this, results);
+    });
+
+    // A synchronous throw reaches the caller instead of the callback, so there
+    // is no callback left to wait for
+    let returned;
+    try {
+      returned = fn.apply(this, args);
+    } catch (err) {
+      clearTimeout(timer);
+      throw err;
+    }
+
+    if (typeof returned?.then === 'function') {
+      const observe = (outcome) => () => {
+        state.promise = outcome;
+        checkBoth();
+      };
+      returned.then(observe('resolved'), observe('rejected'));
+    }
+
+    return returned;
+  };
+
+  Object.defineProperty(guarded, 'name', { value: fn.name });
+  Object.defineProperty(guarded, 'length', { value: fn.length });
+
+  return guarded;
+}
@@ -0,0 +1,11 @@
+// Types for lib/timeout.js
+
+import type { Clock } from './clock.js';
+import type { DualMode, DualModeOptions } from './dual-mode.js';
+
+/** Wrap `fn` so every call fails with a TimeoutError after `ms` (or at a `Date`). */
+export function withTimeout<Args extends unknown[], Result>(
+  fn: (...args: Args) => Result,
+  ms: number | Date,
+  options?: DualModeOptions & { clock?: Clock }
+): DualMode<Args, Awaited<Result>>;
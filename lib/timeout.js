@@ -0,0 +1,77 @@
+// ✅ Deadlines for calls that can hang
+// A saveUser() whose connection is lost never settles: its callback never
+// runs, its promise stays pending. withTimeout() gives any promise-returning
+// or dual-mode function a deadline and returns a dual-mode function that:
+//   - fails with a TimeoutError (code ERR_TIMEOUT) through the active channel,
+//     callback(err) or a rejection
+//   - ignores the late result: the callback runs once, the promise settles once
+//   - clears its timer as soon as the call settles, so a finished call never
+//     keeps the process alive
+//
+// For callback-only functions, adapt them first:
+//   const save = withTimeout(promisify(saveUser), 1000);
+
+import { systemClock } from './clock.js';
+import { dualMode, findSignal } from './dual-mode.js';
+import { AbortError, TimeoutError } from './errors.js';
+
+/**
+ * Wrap `fn` so every call fails with a TimeoutError after `ms`.
+ *
+ * The underlying work is not stopped by the timeout — nothing can stop a
+ * function that doesn't take a signal. Calls may still pass `{ signal }` last
+ * (see lib/dual-mode.js) to cancel both: aborting clears the deadline as well.
+ *
+ * @param {Function} fn - Promise-returning or dual-mode function.
+ * @param {number | Date} ms - Limit per call in ms, or a fixed deadline shared by all calls.
+ * @param {{ arity?: number, clock?: object }} [options] - `arity` as for `dualMode()`, when `fn`
+ *   takes a function argument; `clock` to time calls on a virtual clock (lib/clock.js).
+ * @returns {Function} Dual-mode version of `fn` with a deadline.
+ */
+export function withTimeout(fn, ms, { arity = 0, clock = systemClock } = {}) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('withTimeout() expects a function');
+  }
+  if (!(ms instanceof Date) && !(Number.isFinite(ms) && ms >= 0)) {
+    throw new RangeError(`withTimeout() expects a non-negative number of ms or a Date, got ${ms}`);
+  }
+
+  const name = fn.name || 'anonymous';
+
+  const timed = dualMode(function (...args) {
+    const limit = ms instanceof Date ? ms.getTime() - clock.now() : ms;
+    const fail = () => new TimeoutError(
+      ms instanceof Date
+        ? `${name}() missed its deadline of ${ms.toISOString()}`
+        : `${name}() timed out after ${ms}ms`,
+      Math.max(0, limit)
+    );
+
+    // A deadline that has already passed doesn't start the work
+    if (limit <= 0) return Promise.reject(fail());
+
+    // Aborting clears the deadline too, even when `fn` ignores the signal:
+    // the timer would otherwise keep the process alive for nothing
+    const signal = findSignal(args);
+
+    return new Promise((resolve, reject) => {
+      // Whichever settles first wins; the later calls to resolve/reject are no-ops
+      const settle = (done) => (value) => {
+        clock.clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        done(value);
+      };
+      const onAbort = settle(() => reject(new AbortError(undefined, { cause: signal.reason })));
+      const timer = clock.setTimeout(settle(() => reject(fail())), limit);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      new Promise((start) => start(fn.apply(this, args)))
+        .then(settle(resolve), settle(reject));
+    });
+  }, { arity });
+
+  Object.defineProperty(timed, 'name', { value: fn.name });
+  Object.defineProperty(timed, 'length', { value: fn.length });
+
+  return timed;
+}
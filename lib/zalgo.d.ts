@@ -0,0 +1,14 @@
+// Types for lib/zalgo.js
+
+export interface ZalgoReport {
+  code: 'ERR_ZALGO';
+  name: string;
+  message: string;
+  callSite: string;
+}
+
+/** Always deliver `fn`'s callback after the call returns, or report when it doesn't. */
+export function dezalgo<F extends (...args: any[]) => any>(
+  fn: F,
+  options?: { mode?: 'defer' | 'detect'; onReport?: (report: ZalgoReport) => void }
+): F;
@@ -0,0 +1,90 @@
+// ⚡ Zalgo guard: consistent callback timing
+// A callback that is sometimes invoked synchronously (before the call
+// returns) and sometimes asynchronously "releases Zalgo": code written right
+// after the call runs before OR after the callback depending on the path
+// taken. goodDualModeSync in examples/6-bad-vs-good-dualmode.js calls back
+// synchronously while callbackOnlyFunc in test-suite.js uses setImmediate —
+// mix the two behind one API and callers get ordering bugs.
+// See examples/8-zalgo.js
+//
+// Two modes:
+//   - 'defer'   (default) a synchronous callback is postponed with
+//               queueMicrotask, so the callback ALWAYS runs after the call returns
+//   - 'detect'  timing is left alone; once a function has been seen calling
+//               back both ways, an ERR_ZALGO report is emitted
+
+import { captureCallSite, emitReport } from './reporting.js';
+
+/**
+ * @typedef {object} ZalgoReport
+ * @property {string} code - Always 'ERR_ZALGO'.
+ * @property {string} name - Name of the wrapped function.
+ * @property {string} message - Human-readable description.
+ * @property {string} callSite - Stack trace of the call that completed the mix.
+ */
+
+/**
+ * Wrap a callback-accepting function so its callback timing is consistent
+ * (or, in 'detect' mode, reported when it isn't).
+ *
+ * @param {Function} fn - Function taking a callback as its last argument.
+ * @param {object} [options]
+ * @param {'defer' | 'detect'} [options.mode='defer']
+ * @param {(report: ZalgoReport) => void} [options.onReport] - Defaults to `process.emitWarning`.
+ * @returns {Function} Wrapped version of `fn`.
+ */
+export function dezalgo(fn, { mode = 'defer', onReport = emitReport } = {}) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('dezalgo() expects a function');
+  }
+  if (mode !== 'defer' && mode !== 'detect') {
+    throw new TypeError(`dezalgo() mode must be 'defer' or 'detect', got ${mode}`);
+  }
+
+  const name = fn.name || 'anonymous';
+  const seen = { sync: false, async: false };
+  let reported = false;
+
+  const wrapped = function (...args) {
+    if (typeof args.at(-1) !== 'function') {
+      return fn.apply(this, args);
+    }
+
+    const callback = args.pop();
+    const callSite = mode === 'detect' ? captureCallSite(wrapped) : undefined;
+    let returned = false;
+
+    args.push(function (...results) {
+      const sync = !returned;
+      seen[sync ? 'sync' : 'async'] = true;
+
+      if (mode === 'defer' && sync) {
+        queueMicrotask(() => callback.apply(this, results));
+        return;
+      }
+
+      if (mode === 'detect' && seen.sync && seen.async && !reported) {
+        reported = true;
+        onReport({
+          code: 'ERR_ZALGO',
+          name,
+          message: `${name}() calls its callback both synchronously and asynchronously`,
+          callSite,
+        });
+      }
+
+      return callback.apply(this, results);
+    });
+
+    try {
+      return fn.apply(this, args);
+    } finally {
+      returned = true;
+    }
+  };
+
+  Object.defineProperty(wrapped, 'name', { value: fn.name });
+  Object.defineProperty(wrapped, 'length', { value: fn.length });
+
+  return wrapped;
+}
@@ -0,0 +1,63 @@
+// Type-level tests for lib/dual-mode.d.ts
+// Checked by the compiler, never run: `tsc -p .` fails when an expectation
+// doesn't hold, or when a line marked @ts-expect-error compiles.
+
+import { expectTypeOf } from 'expect-type';
+import { dualMode, type Callback, type DualMode } from '../lib/dual-mode.js';
+
+interface User {
+  id: number;
+  name: string;
+}
+
+declare const findUser: DualMode<[id: number], User>;
+declare const cancellable: DualMode<[id: number, options?: { signal?: AbortSignal }], User>;
+
+async function callbackFormIsVoid() {
+  expectTypeOf(findUser(1, (err, user) => {
+    expectTypeOf(err).toEqualTypeOf<Error | null>();
+    expectTypeOf(user).toEqualTypeOf<User>();
+  })).toEqualTypeOf<void>();
+
+  // examples/1-broken-mixing.js: awaiting the callback form yields nothing
+  // @ts-expect-error - void is not a User
+  const user: User = await findUser(1, () => {});
+
+  // @ts-expect-error - no promise to chain in callback mode
+  findUser(1, () => {}).then(() => {});
+
+  return user;
+}
+
+async function promiseFormIsPromise() {
+  expectTypeOf(findUser(1)).toEqualTypeOf<Promise<User>>();
+  expectTypeOf(await findUser(1)).toEqualTypeOf<User>();
+
+  // @ts-expect-error - wrong argument type in either form
+  findUser('1');
+  // @ts-expect-error - the callback must be error-first
+  findUser(1, (user: User) => user);
+}
+
+function optionalArgumentsBeforeTheCallback() {
+  const cb: Callback<User> = () => {};
+  const signal = new AbortController().signal;
+
+  expectTypeOf(cancellable(1, cb)).toEqualTypeOf<void>();
+  expectTypeOf(cancellable(1, { signal }, cb)).toEqualTypeOf<void>();
+  expectTypeOf(cancellable(1)).toEqualTypeOf<Promise<User>>();
+  expectTypeOf(cancellable(1, { signal })).toEqualTypeOf<Promise<User>>();
+}
+
+function dualModeInfersTheWrappedSignature() {
+  const wrapped = dualMode(async (id: number, label: string) => ({ id, name: label }));
+
+  expectTypeOf(wrapped).toEqualTypeOf<DualMode<[id: number, label: string], { id: number; name: string }>>();
+  expectTypeOf(wrapped(1, 'a')).resolves.toEqualTypeOf<{ id: number; name: string }>();
+  expectTypeOf(wrapped(1, 'a', () => {})).toEqualTypeOf<void>();
+
+  // Plain values are wrapped in a promise too
+  expectTypeOf(dualMode((n: number) => n * 2)(1)).toEqualTypeOf<Promise<number>>();
+}
+
+export { callbackFormIsVoid, promiseFormIsPromise, optionalArgumentsBeforeTheCallback, dualModeInfersTheWrappedSignature };
@@ -0,0 +1,116 @@
+// Type-level tests for the helpers' .d.ts files in lib/
+// Each helper keeps the dual-mode split: a callback → void, none → Promise.
+
+import { EventEmitter } from 'node:events';
+import { expectTypeOf } from 'expect-type';
+import { eachSeries, filterAsync, mapConcurrent, mapSettled, runBatch, type BatchReport } from '../lib/collections.js';
+import { promisify } from '../lib/promisify.js';
+import { withTimeout } from '../lib/timeout.js';
+import { retry } from '../lib/retry.js';
+import { fromEmitterApi, waitForEvent } from '../lib/emitters.js';
+import { fromCallbackPages, fromEmitter } from '../lib/async-iterators.js';
+import { trackPending } from '../lib/pending.js';
+import { createVirtualClock, seededRandom, systemClock, type Clock } from '../lib/clock.js';
+import { bindContext, dualModeWithContext } from '../lib/context.js';
+import { AbortError, RetryError, TimeoutError } from '../lib/errors.js';
+import type { DualMode } from '../lib/dual-mode.js';
+
+declare function saveUser(name: string): Promise<{ saved: string }>;
+declare function legacySave(name: string, callback: (err: Error | null, id: number) => void): void;
+
+async function collections() {
+  const users = ['Alice', 'Bob'];
+
+  expectTypeOf(mapConcurrent(users, 2, saveUser)).toEqualTypeOf<Promise<Array<{ saved: string }>>>();
+  expectTypeOf(mapConcurrent(users, 2, saveUser, (err, results) => {
+    expectTypeOf(results).toEqualTypeOf<Array<{ saved: string }>>();
+  })).toEqualTypeOf<void>();
+  expectTypeOf(mapConcurrent(users, 2, saveUser, { stopOnError: false }, () => {})).toEqualTypeOf<void>();
+
+  expectTypeOf(eachSeries(users, saveUser)).toEqualTypeOf<Promise<void>>();
+  expectTypeOf(filterAsync(users, async (name) => name.length > 3)).toEqualTypeOf<Promise<string[]>>();
+  expectTypeOf(mapSettled(users, saveUser)).toEqualTypeOf<Promise<Array<PromiseSettledResult<{ saved: string }>>>>();
+  expectTypeOf(runBatch(users, saveUser, { maxFailures: 1 })).toEqualTypeOf<Promise<BatchReport<string, { saved: string }>>>();
+
+  // @ts-expect-error - no results when a callback is given
+  const results: Array<{ saved: string }> = await mapConcurrent(users, 2, saveUser, () => {});
+  return results;
+}
+
+async function adapters() {
+  const save = promisify(legacySave);
+  expectTypeOf(save).toEqualTypeOf<(name: string) => Promise<number>>();
+
+  const timed = withTimeout(saveUser, 1000);
+  expectTypeOf(timed).toEqualTypeOf<DualMode<[name: string], { saved: string }>>();
+  expectTypeOf(timed('Alice', () => {})).toEqualTypeOf<void>();
+
+  // Wrapping a dual-mode function keeps its promise signature
+  const retried = retry(timed, { retries: 2, backoff: 'exponential', retryIf: (err) => err instanceof TimeoutError });
+  expectTypeOf(retried('Alice')).toEqualTypeOf<Promise<{ saved: string }>>();
+  expectTypeOf(retried('Alice', () => {})).toEqualTypeOf<void>();
+
+  // @ts-expect-error - unknown backoff strategy
+  retry(saveUser, { backoff: 'fibonacci' });
+
+  await retried('Alice').catch((err: unknown) => {
+    if (err instanceof RetryError) expectTypeOf(err.attempts[0].attempt).toEqualTypeOf<number>();
+    if (err instanceof AbortError) expectTypeOf(err.code).toEqualTypeOf<'ABORT_ERR'>();
+  });
+}
+
+async function emitters() {
+  const emitter = new EventEmitter();
+
+  expectTypeOf(waitForEvent(emitter, 'done')).toEqualTypeOf<Promise<any>>();
+  expectTypeOf(waitForEvent<string>(emitter, 'done', { rejectOn: ['error', 'timeout'] })).toEqualTypeOf<Promise<string>>();
+  expectTypeOf(waitForEvent(emitter, 'done', () => {})).toEqualTypeOf<void>();
+
+  const request = fromEmitterApi((id: number) => emitter, { resolveOn: 'response' });
+  expectTypeOf(request(1)).toEqualTypeOf<Promise<any>>();
+  expectTypeOf(request(1, () => {})).toEqualTypeOf<void>();
+
+  for await (const user of fromCallbackPages<string, number>((cursor, callback) => callback(null, { items: ['a'], next: null }))) {
+    expectTypeOf(user).toEqualTypeOf<string>();
+  }
+  for await (const message of fromEmitter<Buffer>(emitter, 'data')) {
+    expectTypeOf(message).toEqualTypeOf<Buffer>();
+  }
+}
+
+function pending() {
+  const tracker = trackPending({ hookProcess: false });
+  expectTypeOf(tracker.track(saveUser('Alice'))).toEqualTypeOf<Promise<{ saved: string }>>();
+  expectTypeOf(tracker.drain()).toEqualTypeOf<Promise<void>>();
+  expectTypeOf(tracker.drain({ timeout: 100 }, () => {})).toEqualTypeOf<void>();
+}
+
+async function clocks() {
+  const clock = createVirtualClock({ seed: 42 });
+  expectTypeOf(clock).toMatchTypeOf<Clock>();
+  expectTypeOf(systemClock).toEqualTypeOf<Clock>();
+  expectTypeOf(seededRandom(7)).toEqualTypeOf<() => number>();
+
+  expectTypeOf(clock.sleep(10, 'done')).toEqualTypeOf<Promise<string>>();
+  expectTypeOf(clock.advance(100)).toEqualTypeOf<Promise<void>>();
+  expectTypeOf(await clock.runAll()).toEqualTypeOf<number>();
+
+  withTimeout(saveUser, 100, { clock });
+  retry(saveUser, { retries: 2, clock });
+  trackPending({ hookProcess: false, clock });
+
+  // @ts-expect-error - a clock needs every method
+  retry(saveUser, { clock: { now: () => 0 } });
+}
+
+async function context() {
+  expectTypeOf(bindContext(legacySave)).toEqualTypeOf<typeof legacySave>();
+  expectTypeOf(bindContext(legacySave, { arity: 1 })).toEqualTypeOf<typeof legacySave>();
+
+  const save = dualModeWithContext(saveUser);
+  expectTypeOf(save).toEqualTypeOf<DualMode<[name: string], { saved: string }>>();
+  expectTypeOf(save('Alice', () => {})).toEqualTypeOf<void>();
+  expectTypeOf(await save('Alice')).toEqualTypeOf<{ saved: string }>();
+}
+
+export { collections, adapters, emitters, pending, clocks, context };
@@ -0,0 +1,13 @@
+// Type-level tests for the CommonJS entry point (lib/index.cjs)
+
+import asyncMix = require('async-mix-and-match');
+import { expectTypeOf } from 'expect-type';
+
+function requireEntryPoint() {
+  const findUser = asyncMix.dualMode(async (id: number) => ({ id }));
+
+  expectTypeOf(findUser(1)).toEqualTypeOf<Promise<{ id: number }>>();
+  expectTypeOf(findUser(1, () => {})).toEqualTypeOf<void>();
+}
+
+export = requireEntryPoint;
@@ -0,0 +1,18 @@
+// Type-level tests for the package entry points (package.json "exports")
+
+import { expectTypeOf } from 'expect-type';
+import { dualMode, mapConcurrent, type DualMode } from 'async-mix-and-match';
+import { dualMode as dualModeSubpath } from 'async-mix-and-match/dual-mode';
+import { TimeoutError } from 'async-mix-and-match/errors';
+
+function entryPoints() {
+  expectTypeOf(dualModeSubpath).toEqualTypeOf(dualMode);
+  expectTypeOf(dualMode(async (n: number) => n)).toEqualTypeOf<DualMode<[n: number], number>>();
+  expectTypeOf(mapConcurrent([1], 1, async (n) => `${n}`)).toEqualTypeOf<Promise<string[]>>();
+  expectTypeOf(new TimeoutError('late', 10).code).toEqualTypeOf<'ERR_TIMEOUT'>();
+}
+
+// @ts-expect-error - internal modules are not exported
+import type { captureCallSite } from 'async-mix-and-match/reporting';
+
+export { entryPoints, type captureCallSite };
@@ -1,30 +1,45 @@
-// Comprehensive test suite demonstrating all patterns and anti-patterns
-
-// Color codes for output
-const colors = {
-  reset: '\x1b[0m',
-  bright: '\x1b[1m',
-  red: '\x1b[31m',
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  cyan: '\x1b[36m',
-};
-
-function log(label, message) {
-  console.log(`${colors.cyan}${label}${colors.reset} ${message}`);
-}
-
-function success(msg) {
-  console.log(`${colors.green}✓${colors.reset} ${msg}`);
-}
-
-function error(msg) {
-  console.log(`${colors.red}✗${colors.reset} ${msg}`);
-}
+// Comprehensive test suite for all patterns and the lib/ helpers
+// Run with: node test-suite.js   (exits non-zero if any assertion fails)
+// TAP output: node --test-reporter=tap test-suite.js
+//
+// Three correct patterns:
+//   1. Callback-only — no return value, error-first convention
+//   2. Promise-only  — always returns a promise
+//   3. Dual-mode     — detects the callback; returns a promise only without one
+//
+// Key principle: users choose ONE pattern per function call. The function
+// enforces this by either consuming the promise (callback mode) or
+// returning it (promise mode), never both.
 
-function section(title) {
-  console.log(`\n${colors.bright}${colors.cyan}=== ${title} ===${colors.reset}\n`);
-}
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { EventEmitter, getEventListeners, once } from 'node:events';
+import { mkdtempSync, readFileSync, rmSync, symlinkSync, writeFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+import { dualMode } from './lib/dual-mode.js';
+import { AbortError, RetryError, TimeoutError } from './lib/errors.js';
+import { promisify } from './lib/promisify.js';
+import { guardSettlement } from './lib/settlement-guard.js';
+import { eachSeries, filterAsync, mapConcurrent, mapSettled, runBatch } from './lib/collections.js';
+import { trackPending } from './lib/pending.js';
+import { diagnosePattern } from './lib/diagnostics.js';
+import { assertDualMode } from './lib/conformance.js';
+import { dezalgo } from './lib/zalgo.js';
+import { withTimeout } from './lib/timeout.js';
+import { createVirtualClock, seededRandom, systemClock } from './lib/clock.js';
+import { bindContext, dualModeWithContext } from './lib/context.js';
+import { retry } from './lib/retry.js';
+import { fromCallbackPages, fromEmitter } from './lib/async-iterators.js';
+import { fromEmitterApi, waitForEvent } from './lib/emitters.js';
+import { compareResults, runSuite, summarize } from './tools/benchmark.js';
+import { decodeStatus, deoptReport, formatReport, parseProbe, parseTrace } from './tools/deopt-report.js';
+import { findExample, listExamples, normalizeOutput, verifyExample } from './tools/async-mix.js';
 
 // ============= Pattern Implementations =============
 
@@ -71,172 +86,1853 @@ function dualModeFunc(param, callback) {
   }
 }
 
+// ============= Helpers =============
+
+// Calls `fn` in callback mode; resolves with what the callback received and
+// what `fn` itself returned
+async function viaCallback(fn, ...args) {
+  let settle;
+  const received = new Promise((resolve) => { settle = resolve; });
+  const returned = fn(...args, (err, result) => settle({ err, result }));
+  return { ...(await received), returned };
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const exampleFile = (name) => fileURLToPath(new URL(`examples/${name}`, import.meta.url));
+const repoFile = (path) => fileURLToPath(new URL(path, import.meta.url));
+
 // ============= Tests =============
 
-async function runTests() {
-  section('1. CALLBACK-ONLY PATTERN');
+describe('1. Callback-only pattern', () => {
+  it('calls back with (null, result) on success', async () => {
+    const { err, result } = await viaCallback(callbackOnlyFunc, 'test');
+    assert.equal(err, null);
+    assert.equal(result, 'Callback result: test');
+  });
 
-  // Success case
-  await new Promise((resolve) => {
-    callbackOnlyFunc('test', (err, result) => {
-      if (err) {
-        error(`Unexpected error: ${err.message}`);
-      } else {
-        success(result);
-      }
-      resolve();
+  it('calls back with an Error on failure', async () => {
+    const { err, result } = await viaCallback(callbackOnlyFunc, 'err');
+    assert.ok(err instanceof Error);
+    assert.equal(err.message, 'Callback function error');
+    assert.equal(result, undefined);
+  });
+
+  it('returns undefined', async () => {
+    const { returned } = await viaCallback(callbackOnlyFunc, 'test');
+    assert.equal(returned, undefined);
+  });
+});
+
+describe('2. Promise-only pattern', () => {
+  it('resolves with the result', async () => {
+    assert.equal(await promiseOnlyFunc('test'), 'Promise result: test');
+  });
+
+  it('rejects with an Error on failure', async () => {
+    await assert.rejects(promiseOnlyFunc('err'), { message: 'Promise function error' });
+  });
+});
+
+describe('3. Dual-mode pattern - callback mode', () => {
+  it('calls back with (null, result) on success', async () => {
+    const { err, result } = await viaCallback(dualModeFunc, 'test');
+    assert.equal(err, null);
+    assert.equal(result, 'Dual-mode result: test');
+  });
+
+  it('calls back with an Error on failure', async () => {
+    const { err } = await viaCallback(dualModeFunc, 'err');
+    assert.ok(err instanceof Error);
+    assert.equal(err.message, 'Dual-mode function error');
+  });
+});
+
+describe('4. Dual-mode pattern - promise mode', () => {
+  it('resolves with the result', async () => {
+    assert.equal(await dualModeFunc('test'), 'Dual-mode result: test');
+  });
+
+  it('rejects with an Error on failure', async () => {
+    await assert.rejects(dualModeFunc('err'), { message: 'Dual-mode function error' });
+  });
+});
+
+describe('5. Dual-mode pattern - .then().catch() mode', () => {
+  it('delivers the result to .then()', async () => {
+    const result = await dualModeFunc('test').then((value) => value);
+    assert.equal(result, 'Dual-mode result: test');
+  });
+
+  it('delivers the error to .catch()', async () => {
+    const caught = await dualModeFunc('err')
+      .then(() => assert.fail('Should have caught error'))
+      .catch((err) => err);
+    assert.equal(caught.message, 'Dual-mode function error');
+  });
+});
+
+describe('6. Key insight: what dualModeFunc returns', () => {
+  it('returns undefined when a callback is provided', async () => {
+    const { returned } = await viaCallback(dualModeFunc, 'test');
+    assert.equal(returned, undefined);
+  });
+
+  it('returns a promise when no callback is provided', async () => {
+    const returned = dualModeFunc('test');
+    assert.ok(returned instanceof Promise);
+    await returned;
+  });
+});
+
+describe('7. dualMode() wrapper', () => {
+  const wrapped = dualMode(function (param) {
+    return promiseOnlyFunc(param === 'this' ? this.value : param);
+  });
+
+  it('returns undefined and calls back in callback mode', async () => {
+    const { err, result, returned } = await viaCallback(wrapped, 'test');
+    assert.equal(returned, undefined);
+    assert.equal(err, null);
+    assert.equal(result, 'Promise result: test');
+  });
+
+  it('calls back with the Error on failure', async () => {
+    const { err } = await viaCallback(wrapped, 'err');
+    assert.ok(err instanceof Error);
+    assert.equal(err.message, 'Promise function error');
+  });
+
+  it('returns the promise in promise mode', async () => {
+    const returned = wrapped('test');
+    assert.ok(returned instanceof Promise);
+    assert.equal(await returned, 'Promise result: test');
+    await assert.rejects(wrapped('err'), { message: 'Promise function error' });
+  });
+
+  it('forwards `this` to the wrapped function', async () => {
+    const bound = { value: 'from this', wrapped };
+    assert.equal(await bound.wrapped('this'), 'Promise result: from this');
+  });
+
+  it('keeps fn.length and fn.name', () => {
+    assert.equal(wrapped.length, 1);
+    assert.equal(dualMode(promiseOnlyFunc).name, 'promiseOnlyFunc');
+  });
+
+  it('turns a synchronous throw into a rejection', async () => {
+    await assert.rejects(dualMode(() => { throw new Error('Sync throw'); })(), { message: 'Sync throw' });
+  });
+
+  it('wraps a falsy rejection reason in an Error for the callback', async () => {
+    const { err } = await viaCallback(dualMode(() => Promise.reject(null)));
+    assert.ok(err instanceof Error);
+    assert.equal(err.reason, null);
+  });
+
+  it('only takes the callback beyond `arity` arguments', async () => {
+    const apply = dualMode(async (value, transform) => transform(value), { arity: 2 });
+    assert.equal(await apply(2, (n) => n * 2), 4);
+
+    const { result } = await viaCallback(apply, 2, (n) => n * 3);
+    assert.equal(result, 6);
+  });
+});
+
+describe('8. promisify() adapter', () => {
+  const promisified = promisify(callbackOnlyFunc);
+
+  it('resolves with the callback result', async () => {
+    assert.equal(await promisified('test'), 'Callback result: test');
+  });
+
+  it('rejects with the callback error', async () => {
+    await assert.rejects(promisified('err'), { message: 'Callback function error' });
+  });
+
+  it('resolves multi-value callbacks as an array or a named object', async () => {
+    const multiValue = (callback) => setImmediate(callback, null, 'Alice', true);
+
+    assert.deepEqual(await promisify(multiValue, { multiArgs: true })(), ['Alice', true]);
+    assert.deepEqual(
+      await promisify(multiValue, { multiArgs: ['user', 'created'] })(),
+      { user: 'Alice', created: true }
+    );
+  });
+
+  it('rejects with ERR_MULTIPLE_CALLBACK when called back twice in one tick', async () => {
+    // Missing `return` after callback(err)
+    function callsBackTwice(callback) {
+      setImmediate(() => {
+        callback(new Error('First'));
+        callback(null, 'Second');
+      });
+    }
+
+    await assert.rejects(promisify(callsBackTwice)(), { code: 'ERR_MULTIPLE_CALLBACK' });
+  });
+
+  it('rejects with ERR_SYNC_THROW when the function throws before calling back', async () => {
+    function throwsBeforeScheduling(param, callback) {
+      if (!param) throw new TypeError('param is required');
+      setImmediate(callback, null, param);
+    }
+
+    await assert.rejects(promisify(throwsBeforeScheduling)(''), (err) => {
+      assert.equal(err.code, 'ERR_SYNC_THROW');
+      assert.ok(err.cause instanceof TypeError);
+      assert.equal(err.cause.message, 'param is required');
+      return true;
     });
   });
+});
 
-  // Error case
-  await new Promise((resolve) => {
-    callbackOnlyFunc('err', (err, result) => {
-      if (err) {
-        success(`Error caught: ${err.message}`);
-      } else {
-        error('Should have received error');
-      }
-      resolve();
+describe('9. guardSettlement() instrumentation', () => {
+  // Same shape as badDualMode in examples/6: callback AND promise both fire
+  function badDualMode(param, callback) {
+    return new Promise((resolve) => {
+      setImmediate(() => {
+        if (typeof callback === 'function') callback(null, param);
+        resolve(param);
+      });
     });
+  }
+
+  function callsBackTwiceLater(callback) {
+    setImmediate(() => {
+      callback(null, 'first');
+      callback(null, 'second');
+    });
+  }
+
+  function neverCallsBack(callback) {}
+
+  // Calls the guarded function in callback mode and collects its reports
+  async function reportsFor(fn, ...args) {
+    const reports = [];
+    guardSettlement(fn, { timeout: 20, onReport: (report) => reports.push(report) })(...args, () => {});
+    await wait(50);
+    return reports;
+  }
+
+  it('reports a callback AND a resolved promise', async () => {
+    const reports = await reportsFor(badDualMode, 'test');
+    assert.deepEqual(reports.map((r) => r.code), ['ERR_CALLBACK_AND_PROMISE']);
+    assert.equal(reports[0].promise, 'resolved');
+  });
+
+  it('reports a callback called more than once', async () => {
+    const reports = await reportsFor(callsBackTwiceLater);
+    assert.deepEqual(reports.map((r) => r.code), ['ERR_MULTIPLE_CALLBACK']);
   });
 
-  // ====
+  it('reports a callback never called within the timeout', async () => {
+    const reports = await reportsFor(neverCallsBack);
+    assert.deepEqual(reports.map((r) => r.code), ['ERR_CALLBACK_TIMEOUT']);
+  });
+
+  it('rethrows a synchronous throw without a timeout report', async () => {
+    const reports = [];
+    const throwsAtOnce = (param, callback) => { throw new Error(`Bad param: ${param}`); };
+    const guarded = guardSettlement(throwsAtOnce, { timeout: 20, onReport: (report) => reports.push(report) });
+    assert.throws(() => guarded('x', () => {}), { message: 'Bad param: x' });
+    await wait(50);
+    assert.deepEqual(reports, []);
+  });
 
-  section('2. PROMISE-ONLY PATTERN');
+  it('produces no reports for a correct dual-mode function', async () => {
+    assert.deepEqual(await reportsFor(dualModeFunc, 'test'), []);
+  });
 
-  // Success case
-  try {
-    const result = await promiseOnlyFunc('test');
-    success(result);
-  } catch (err) {
-    error(`Unexpected error: ${err.message}`);
+  it('includes the call-site stack', async () => {
+    const [report] = await reportsFor(badDualMode, 'test');
+    assert.match(report.callSite, /test-suite\.js/);
+  });
+
+  it('returns the function untouched when disabled', () => {
+    assert.equal(guardSettlement(badDualMode, { enabled: false }), badDualMode);
+  });
+});
+
+describe('10. Collection helpers', () => {
+  const users = ['Alice', 'Bob', 'Charlie', 'Diana', 'Charlie2'];
+
+  // Finishes in reverse order so result ordering is actually exercised
+  function createSlowSave() {
+    const stats = { inFlight: 0, maxInFlight: 0 };
+    const save = (user, index) => new Promise((resolve, reject) => {
+      stats.inFlight += 1;
+      stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+      setTimeout(() => {
+        stats.inFlight -= 1;
+        if (user.startsWith('Charlie')) reject(new Error(`Database write failed for ${user}`));
+        else resolve(`saved ${user}`);
+      }, 20 - index * 4);
+    });
+    return { save, stats };
   }
 
-  // Error case
-  try {
-    const result = await promiseOnlyFunc('err');
-    error('Should have thrown error');
-  } catch (err) {
-    success(`Error caught: ${err.message}`);
+  it('mapConcurrent keeps result order and caps concurrency at the limit', async () => {
+    const { save, stats } = createSlowSave();
+    const results = await mapConcurrent(['Alice', 'Bob', 'Diana'], 2, save);
+    assert.deepEqual(results, ['saved Alice', 'saved Bob', 'saved Diana']);
+    assert.equal(stats.maxInFlight, 2);
+  });
+
+  it('mapConcurrent rejects with the first error by default', async () => {
+    const { save } = createSlowSave();
+    await assert.rejects(mapConcurrent(users, 2, save), { message: 'Database write failed for Charlie' });
+  });
+
+  it('stopOnError: false collects every error in an AggregateError', async () => {
+    const { save } = createSlowSave();
+    await assert.rejects(mapConcurrent(users, 2, save, { stopOnError: false }), (err) => {
+      assert.ok(err instanceof AggregateError);
+      assert.deepEqual(err.errors.map((e) => e.message), [
+        'Database write failed for Charlie',
+        'Database write failed for Charlie2',
+      ]);
+      return true;
+    });
+  });
+
+  it('rejects an invalid limit', async () => {
+    await assert.rejects(mapConcurrent(users, 0, async () => {}), RangeError);
+  });
+
+  it('eachSeries runs one item at a time', async () => {
+    const { save } = createSlowSave();
+    const order = [];
+    await eachSeries(['Alice', 'Bob'], async (user) => {
+      order.push(`start ${user}`);
+      await save(user, 0);
+      order.push(`end ${user}`);
+    });
+    assert.deepEqual(order, ['start Alice', 'end Alice', 'start Bob', 'end Bob']);
+  });
+
+  it('mapSettled reports every outcome without rejecting', async () => {
+    const { save } = createSlowSave();
+    const settled = await mapSettled(users, save, { limit: 3 });
+    assert.deepEqual(
+      settled.map((r) => r.status),
+      ['fulfilled', 'fulfilled', 'rejected', 'fulfilled', 'rejected']
+    );
+  });
+
+  it('filterAsync keeps matching items in order', async () => {
+    assert.deepEqual(await filterAsync([1, 2, 3, 4], async (n) => n % 2 === 0), [2, 4]);
+  });
+
+  it('helpers are dual-mode', async () => {
+    const { save } = createSlowSave();
+    const { err, result, returned } = await viaCallback(mapConcurrent, ['Alice'], 1, save);
+    assert.equal(returned, undefined);
+    assert.equal(err, null);
+    assert.deepEqual(result, ['saved Alice']);
+  });
+});
+
+describe('11. trackPending() in-flight work', () => {
+  it('tracks promises until they settle and drains them', async () => {
+    const clock = createVirtualClock();
+    const pending = trackPending({ hookProcess: false, clock });
+    pending.track(clock.sleep(10), 'fast write');
+    pending.track(clock.sleep(20), 'slow write');
+    assert.equal(pending.size, 2);
+
+    const draining = pending.drain({ timeout: 500 });
+    await clock.advance(10);
+    assert.deepEqual(pending.list(), [{ label: 'slow write', pendingMs: 10 }]);
+    await clock.advance(10);
+    await draining;
+    assert.equal(pending.size, 0);
+  });
+
+  it('drain() times out with ERR_DRAIN_TIMEOUT listing unsettled tasks', async () => {
+    const clock = createVirtualClock();
+    const pending = trackPending({ hookProcess: false, clock });
+    pending.track(new Promise(() => {}), 'hung write');
+
+    const draining = assert.rejects(pending.drain({ timeout: 20 }), (err) => {
+      assert.equal(err.code, 'ERR_DRAIN_TIMEOUT');
+      assert.deepEqual(err.pending, [{ label: 'hung write', pendingMs: 20 }]);
+      return true;
+    });
+    await clock.advance(20);
+    await draining;
+  });
+
+  it('track() passes rejections through', async () => {
+    const pending = trackPending({ hookProcess: false });
+    await assert.rejects(pending.track(Promise.reject(new Error('Write failed'))), { message: 'Write failed' });
+    assert.equal(pending.size, 0);
+  });
+
+  it('on exit: flushes pending work, reports what never settled, exits with code 1', () => {
+    const child = spawnSync(process.execPath, [exampleFile('7d-track-pending-work.js')], { encoding: 'utf8' });
+    assert.equal(child.status, 1);
+    assert.match(child.stdout, /Saved Charlie/);
+    assert.match(child.stderr, /save Diana/);
+  });
+});
+
+describe('12. Crash diagnostics', () => {
+  // The line of `example` holding `text`, so edits to the examples can't
+  // quietly point a test at another line
+  const lineOf = (example, text) => {
+    const line = readFileSync(exampleFile(example), 'utf8').split('\n').findIndex((source) => source.includes(text)) + 1;
+    assert.ok(line > 0, `${text} not found in examples/${example}`);
+    return line;
+  };
+
+  const diagnoses = [
+    // The call in worstCase
+    ['uncaughtException', '1-broken-mixing.js', "await callbackBasedFunction('error', (err, data) => {"],
+    ['uncaughtException', '5-what-not-to-do.js', "badErrorHandling('error', (err) => {"],
+    // The call in brokenVersion
+    ['unhandledRejection', '7b-foreach-fails-silently.js', 'users.forEach(async (user) => {'],
+  ];
+
+  for (const [origin, example, text] of diagnoses) {
+    it(`diagnoses ${origin} from examples/${example}`, () => {
+      const diagnosis = diagnosePattern({ origin, frames: [{ file: exampleFile(example), line: lineOf(example, text) }] });
+      assert.equal(diagnosis?.example, `examples/${example}`);
+    });
   }
 
-  // ====
+  it('gives no diagnosis for code without a mixing pattern', () => {
+    // Where dualModeFunction rejects its promise
+    const line = lineOf('4-dual-mode.js', "reject(new Error('Operation failed'));");
+    const frames = [{ file: exampleFile('4-dual-mode.js'), line }];
+    assert.equal(diagnosePattern({ origin: 'uncaughtException', frames }), undefined);
+  });
 
-  section('3. DUAL-MODE PATTERN - CALLBACK MODE');
+  it('shows the async chain that scheduled the failing callback', () => {
+    const preload = fileURLToPath(new URL('lib/register-diagnostics.js', import.meta.url));
+    const child = spawnSync(
+      process.execPath,
+      ['--import', preload, exampleFile('1-broken-mixing.js')],
+      { encoding: 'utf8' }
+    );
 
-  // Success case
-  await new Promise((resolve) => {
-    dualModeFunc('test', (err, result) => {
-      if (err) {
-        error(`Unexpected error: ${err.message}`);
-      } else {
-        success(result);
+    assert.equal(child.status, 1);
+    assert.match(child.stderr, /created at callbackBasedFunction/);
+    assert.match(child.stderr, /from worstCase/);
+    assert.match(child.stderr, /See examples\/1-broken-mixing\.js/);
+  });
+});
+
+describe('13. assertDualMode() conformance kit', () => {
+  it('certifies dualModeFunc and the lib/ helpers', async () => {
+    await assertDualMode(dualModeFunc, { successArgs: ['test'], failureArgs: ['err'] });
+    await assertDualMode(dualMode(promiseOnlyFunc), { successArgs: ['test'], failureArgs: ['err'] });
+    await assertDualMode(mapConcurrent, {
+      successArgs: [[1, 2], 1, async (n) => n],
+      failureArgs: [[1, 2], 1, async () => { throw new Error('Item failed'); }],
+    });
+  });
+
+  it('rejects badDualMode from examples/6 (callback AND promise)', async () => {
+    function badDualMode(param, callback) {
+      return new Promise((resolve, reject) => {
+        setImmediate(() => {
+          if (param === 'fail') {
+            if (typeof callback === 'function') callback(new Error('Failure!'));
+            reject(new Error('Failure!'));
+          } else {
+            if (typeof callback === 'function') callback(null, param);
+            resolve(param);
+          }
+        });
+      });
+    }
+
+    await assert.rejects(
+      assertDualMode(badDualMode, { successArgs: ['ok'], failureArgs: ['fail'] }),
+      (err) => {
+        assert.ok(err instanceof assert.AssertionError);
+        assert.match(err.message, /callback mode \(success\): returns undefined \(returned a Promise\)/);
+        assert.match(err.message, /callback mode \(failure\): no unhandled rejection/);
+        return true;
+      }
+    );
+  });
+
+  it('rejects goodDualModeSync from examples/6 (Zalgo, no promise)', async () => {
+    function goodDualModeSync(param, callback) {
+      if (typeof callback === 'function') {
+        callback(null, param);
+        return;
       }
-      resolve();
+      return param;
+    }
+
+    await assert.rejects(assertDualMode(goodDualModeSync, { successArgs: ['ok'] }), (err) => {
+      assert.match(err.message, /callback invoked asynchronously \(invoked before the call returned \(Zalgo\)\)/);
+      assert.match(err.message, /promise mode \(success\): returns a real Promise \(returned "ok"\)/);
+      return true;
     });
   });
 
-  // Error case
-  await new Promise((resolve) => {
-    dualModeFunc('err', (err, result) => {
-      if (err) {
-        success(`Error caught: ${err.message}`);
-      } else {
-        error('Should have received error');
+  it('rejects callbacks called twice, never called, or with a non-Error', async () => {
+    const twice = (callback) => {
+      if (typeof callback !== 'function') return Promise.resolve(1);
+      setImmediate(() => { callback(null, 1); callback(null, 2); });
+    };
+    const never = () => {};
+    const stringError = (fail, callback) => {
+      if (typeof callback === 'function') setImmediate(callback, fail ? 'failed' : null);
+      else return fail ? Promise.reject('failed') : Promise.resolve();
+    };
+
+    await assert.rejects(assertDualMode(twice, { successArgs: [] }), /invoked 2 times/);
+    await assert.rejects(assertDualMode(never, { successArgs: [], timeout: 30 }), /invoked 0 times/);
+    await assert.rejects(
+      assertDualMode(stringError, { successArgs: [false], failureArgs: [true] }),
+      /error is an Error instance \(got "failed"\)[\s\S]*rejects with an Error instance \(got "failed"\)/
+    );
+  });
+});
+
+describe('14. dezalgo() consistent callback timing', () => {
+  // Cache in front of an async lookup: sync on a hit, async on a miss
+  const cachedLookup = () => {
+    const cache = new Map();
+    return function lookup(key, callback) {
+      if (cache.has(key)) return callback(null, cache.get(key));
+      setImmediate(() => {
+        cache.set(key, key.toUpperCase());
+        callback(null, cache.get(key));
+      });
+    };
+  };
+
+  // Record whether the callback ran before or after the call returned
+  const order = (fn, key) => new Promise((resolve) => {
+    const events = [];
+    fn(key, () => {
+      events.push('callback');
+      setImmediate(resolve, events);
+    });
+    events.push('returned');
+  });
+
+  it('shows the ordering bug: a cache hit calls back before the call returns', async () => {
+    const lookup = cachedLookup();
+    assert.deepEqual(await order(lookup, 'a'), ['returned', 'callback']);
+    assert.deepEqual(await order(lookup, 'a'), ['callback', 'returned']);
+  });
+
+  it('defers synchronous callbacks so the order is the same on both paths', async () => {
+    const lookup = dezalgo(cachedLookup());
+    assert.deepEqual(await order(lookup, 'a'), ['returned', 'callback']);
+    assert.deepEqual(await order(lookup, 'a'), ['returned', 'callback']);
+
+    const { result } = await viaCallback(lookup, 'a');
+    assert.equal(result, 'A');
+    await assertDualMode(dezalgo(dualModeFunc), { successArgs: ['test'], failureArgs: ['err'] });
+  });
+
+  it('reports ERR_ZALGO once in detect mode without changing timing', async () => {
+    const reports = [];
+    const lookup = dezalgo(cachedLookup(), { mode: 'detect', onReport: (r) => reports.push(r) });
+
+    assert.deepEqual(await order(lookup, 'a'), ['returned', 'callback']);
+    assert.equal(reports.length, 0);
+    assert.deepEqual(await order(lookup, 'a'), ['callback', 'returned']);
+    await order(lookup, 'b');
+    await order(lookup, 'b');
+
+    assert.equal(reports.length, 1);
+    assert.equal(reports[0].code, 'ERR_ZALGO');
+    assert.equal(reports[0].name, 'lookup');
+    assert.match(reports[0].callSite, /test-suite\.js/);
+  });
+
+  it('passes promise-mode calls straight through and validates options', async () => {
+    assert.equal(await dezalgo(promiseOnlyFunc)('test'), 'Promise result: test');
+    assert.equal(dezalgo(dualModeFunc).length, dualModeFunc.length);
+    assert.throws(() => dezalgo(dualModeFunc, { mode: 'fix' }), TypeError);
+  });
+});
+
+describe('15. Benchmark harness', () => {
+  const result = (p50, margin) => ({ p50, ci: { p50: [p50 - margin, p50 + margin] } });
+
+  it('summarizes samples with mean, p50, p99 and confidence intervals', () => {
+    const samples = Array.from({ length: 100 }, (_, i) => i + 1);
+    const stats = summarize(samples);
+
+    assert.equal(stats.n, 100);
+    assert.equal(stats.mean, 50.5);
+    assert.equal(stats.p50, 50.5);
+    assert.ok(Math.abs(stats.p99 - 99.01) < 1e-9);
+    assert.ok(stats.ci.mean[0] < 50.5 && stats.ci.mean[1] > 50.5);
+    assert.ok(stats.ci.p50[0] <= stats.p50 && stats.ci.p50[1] >= stats.p50);
+    assert.ok(stats.ci.p99[0] <= stats.p99 && stats.ci.p99[1] >= stats.p99);
+    assert.throws(() => summarize([]), RangeError);
+  });
+
+  it('flags a regression only when slower by the threshold AND outside the interval', () => {
+    const baseline = { results: { a: result(100, 2), b: result(100, 2), c: result(100, 20), d: result(100, 2) } };
+    const current = { results: { a: result(120, 2), b: result(103, 2), c: result(120, 20), e: result(1, 0) } };
+
+    const statuses = Object.fromEntries(
+      compareResults(baseline, current).map(({ name, status }) => [name, status])
+    );
+    assert.deepEqual(statuses, { a: 'regression', b: 'unchanged', c: 'unchanged', d: 'missing', e: 'new' });
+    assert.equal(compareResults(current, baseline).find(({ name }) => name === 'a').status, 'improvement');
+  });
+
+  it('runs variants in child processes and exits 1 on --compare regressions', async () => {
+    const suite = repoFile('benchmarks/dual-mode.bench.js');
+    const options = { processes: 2, samples: 3, iterations: 1000, warmup: 1, filter: 'goodDualMode' };
+    const doc = await runSuite(suite, options);
+
+    assert.deepEqual(Object.keys(doc.results), ['goodDualMode (callback mode)', 'goodDualMode (promise mode)']);
+    assert.equal(doc.results['goodDualMode (promise mode)'].n, 6);
+    assert.equal(doc.node, process.version);
+
+    // A baseline far faster than anything measurable
+    const baseline = {
+      ...doc,
+      results: Object.fromEntries(Object.keys(doc.results).map((name) => [name, result(0.01, 0)])),
+    };
+    const dir = mkdtempSync(join(tmpdir(), 'async-mix-bench-'));
+    try {
+      writeFileSync(join(dir, 'baseline.json'), JSON.stringify(baseline));
+      const child = spawnSync(process.execPath, [
+        repoFile('tools/benchmark.js'), suite, '--processes', '1', '--samples', '20',
+        '--iterations', '20000', '--warmup', '5', '--filter', 'goodDualMode', '--compare', join(dir, 'baseline.json'),
+      ], { encoding: 'utf8' });
+
+      assert.equal(child.status, 1, child.stdout + child.stderr);
+      assert.match(child.stdout, /goodDualMode \(promise mode\).*regression/);
+      assert.match(child.stdout, /2 regression\(s\)/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('16. V8 deoptimization report', () => {
+  it('parses optimizations and deopt reasons from the trace', () => {
+    const trace = [
+      '[completed compiling 0x1 <JSFunction area (sfi = 0x2)> (target TURBOFAN) - took 0.1, 1.0, 0.1 ms]',
+      '[bailout (kind: deopt-eager, reason: wrong map): begin. deoptimizing 0x1 <JSFunction area (sfi = 0x2)>, 0x3 <Code TURBOFAN>, opt id 0]',
+      '[completed compiling 0x1 <JSFunction area (sfi = 0x2)> (target MAGLEV) - took 0.1, 1.0, 0.1 ms]',
+      '[bailout (kind: deopt-eager, reason: wrong map): begin. deoptimizing 0x1 <JSFunction area (sfi = 0x2)>, 0x4 <Code MAGLEV>, opt id 1]',
+      '[bailout (kind: deopt-lazy, reason: (unknown)): begin. deoptimizing 0x5 <JSFunction (sfi = 0x6)>, 0x7 <Code TURBOFAN>, opt id 2]',
+      'output of the script itself',
+    ].join('\n');
+
+    const functions = parseTrace(trace);
+    assert.deepEqual(functions.get('area'), {
+      optimized: 2,
+      tiers: ['TURBOFAN', 'MAGLEV'],
+      deopts: 2,
+      reasons: { 'wrong map (deopt-eager)': 2 },
+    });
+    assert.equal(functions.get('(anonymous)').reasons['(unknown) (deopt-lazy)'], 1);
+  });
+
+  it('reads optimization status bits and feedback states from the probe', () => {
+    const stdout = [
+      '@@deopt-report:begin area 81',
+      ' - slot #0 BinaryOp BinaryOp:SignedSmall {',
+      ' - slot #1 LoadProperty POLYMORPHIC',
+      ' - slot #3 Call MONOMORPHIC {',
+      '@@deopt-report:end area',
+      ' - slot #9 LoadProperty MEGAMORPHIC',
+    ].join('\n');
+
+    const { status, flags, feedback } = parseProbe(stdout).get('area');
+    assert.equal(status, 81);
+    assert.deepEqual(flags, ['TurboFan']);
+    assert.deepEqual(feedback.map(({ kind, state }) => `${kind} ${state}`), ['LoadProperty POLYMORPHIC', 'Call MONOMORPHIC']);
+    assert.deepEqual(decodeStatus((1 << 7) | (1 << 3)), ['maybe deopted', 'interpreted']);
+  });
+
+  // Tiers, trace lines and deopt reasons change between V8 versions, so these
+  // compare a function with its control instead of pinning what V8 printed.
+  // A function counts as optimized when the trace or its status says so: the
+  // trace of Node 18 has no "completed compiling" lines
+  const KNOWN_TIERS = new Set(['TURBOFAN', 'MAGLEV']);
+  const isOptimized = (row) => row.optimized > 0 || row.flags.includes('TurboFan') || row.flags.includes('Maglev');
+  const unknownTiers = (rows) => rows.flatMap(({ tiers }) => tiers).filter((tier) => !KNOWN_TIERS.has(tier));
+
+  it('tells a function fed two shapes from one fed a single shape', (t) => {
+    const dir = mkdtempSync(join(tmpdir(), 'async-mix-deopt-'));
+    try {
+      const script = join(dir, 'area.js');
+      writeFileSync(script, [
+        'function area(shape) { return shape.w * shape.h; }',
+        'function perimeter(shape) { return 2 * (shape.w + shape.h); }',
+        'for (let i = 0; i < 20000; i++) { area({ w: i, h: 2 }); perimeter({ w: i, h: 2 }); }',
+        'for (let i = 0; i < 20000; i++) { area(i % 2 ? { w: i, h: 2 } : { h: 2, w: i }); perimeter({ w: i, h: 2 }); }',
+        'globalThis.reportOptimizationStatus?.({ area, perimeter });',
+      ].join('\n'));
+
+      const { exitCode, rows } = deoptReport(script);
+      assert.equal(exitCode, 0);
+      if (unknownTiers(rows).length > 0) {
+        t.skip(`unrecognized V8 tiers: ${unknownTiers(rows)}`);
+        return;
       }
-      resolve();
+      const [area, perimeter] = rows;
+      assert.deepEqual([area.name, perimeter.name], ['area', 'perimeter']);
+
+      assert.ok(isOptimized(perimeter), JSON.stringify(perimeter));
+      assert.equal(perimeter.deopts, 0);
+      assert.deepEqual(perimeter.polymorphic, []);
+
+      assert.ok(area.deopts >= 1 || !isOptimized(area), JSON.stringify(area));
+      assert.notDeepEqual(area.polymorphic, []);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // The claims PERFORMANCE-GUIDE.md makes about examples/6b-deopt-analysis.js:
+  // the return type alone makes no difference to V8
+  it('treats both 6b functions alike: optimized, with the same deopts and feedback', (t) => {
+    const { exitCode, rows } = deoptReport(exampleFile('6b-deopt-analysis.js'));
+    assert.equal(exitCode, 0);
+    if (unknownTiers(rows).length > 0) {
+      t.skip(`unrecognized V8 tiers: ${unknownTiers(rows)}`);
+      return;
+    }
+    const [bad, good] = rows;
+    assert.deepEqual([bad.name, good.name], ['badDualMode', 'goodDualMode']);
+
+    assert.ok(isOptimized(good), JSON.stringify(good));
+    assert.equal(good.deopts, 0);
+    assert.ok(isOptimized(bad), JSON.stringify(bad));
+    assert.equal(bad.deopts, good.deopts);
+    assert.deepEqual(bad.polymorphic, good.polymorphic);
+    assert.match(formatReport(rows), /^badDualMode\s+\d+/m);
+  });
+});
+
+describe('17. Cancellation with AbortSignal', () => {
+  // promiseOnlyFunc with an `{ signal }` option that clears its timer
+  const started = [];
+  const cleared = [];
+  const cancellable = dualMode(function cancellable(param, { signal } = {}) {
+    started.push(param);
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, 50, `Cancellable result: ${param}`);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        cleared.push(param);
+      }, { once: true });
     });
   });
 
-  // ====
+  const isAbortError = (reason) => (err) => {
+    assert.ok(err instanceof AbortError);
+    assert.equal(err.name, 'AbortError');
+    assert.equal(err.code, 'ABORT_ERR');
+    assert.equal(err.cause, reason);
+    return true;
+  };
 
-  section('4. DUAL-MODE PATTERN - PROMISE MODE');
+  it('aborted before start: never calls fn, fails through the active channel', async () => {
+    const reason = new Error('cancelled early');
+    const signal = AbortSignal.abort(reason);
 
-  // Success case
-  try {
-    const result = await dualModeFunc('test');
-    success(result);
-  } catch (err) {
-    error(`Unexpected error: ${err.message}`);
-  }
+    await assert.rejects(cancellable('early', { signal }), isAbortError(reason));
+    const { err, returned } = await viaCallback(cancellable, 'early', { signal });
+    assert.equal(returned, undefined);
+    assert.ok(isAbortError(reason)(err));
+    assert.ok(!started.includes('early'));
+  });
+
+  it('aborted during work: clears the work and delivers one AbortError', async () => {
+    const controller = new AbortController();
+    const calls = [];
+    cancellable('cb', { signal: controller.signal }, (...args) => calls.push(args));
+    setTimeout(() => controller.abort(), 10);
+    await wait(80);
+
+    assert.equal(calls.length, 1);
+    assert.ok(isAbortError(controller.signal.reason)(calls[0][0]));
+    assert.ok(cleared.includes('cb'));
+
+    const second = new AbortController();
+    const pending = cancellable('promise', { signal: second.signal });
+    second.abort();
+    await assert.rejects(pending, isAbortError(second.signal.reason));
+    assert.ok(cleared.includes('promise'));
+  });
+
+  it('aborted after settlement: result stands, listeners removed', async () => {
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    const { err, result } = await viaCallback(cancellable, 'done', { signal });
+    assert.equal(await cancellable('done', { signal }), 'Cancellable result: done');
+    // Only fn's own listeners are left; the wrapper removed its listeners
+    assert.equal(getEventListeners(signal, 'abort').length, 2);
+
+    controller.abort();
+    await wait(10);
+    assert.equal(err, null);
+    assert.equal(result, 'Cancellable result: done');
+  });
+
+  it('ignores a late result from a function that ignores the signal', async () => {
+    const stubborn = dualMode(async () => { await wait(30); return 'late'; });
+    const controller = new AbortController();
+    const calls = [];
+    stubborn({ signal: controller.signal }, (...args) => calls.push(args));
+    controller.abort();
+    await wait(60);
+
+    assert.equal(calls.length, 1);
+    assert.ok(calls[0][0] instanceof AbortError);
+  });
+
+  it('collection helpers start no new items once aborted', async () => {
+    const controller = new AbortController();
+    const seen = [];
+    const pending = mapConcurrent([1, 2, 3, 4, 5], 1, async (n) => {
+      seen.push(n);
+      if (n === 2) controller.abort();
+      await wait(5);
+      return n;
+    }, { signal: controller.signal });
+
+    await assert.rejects(pending, AbortError);
+    await wait(20);
+    assert.deepEqual(seen, [1, 2]);
+  });
+});
+
+describe('18. withTimeout() deadlines', () => {
+  // Every test times its calls on its own virtual clock, and moves it by hand
+  let clock;
+  beforeEach(() => {
+    clock = createVirtualClock({ now: new Date('2026-01-01T00:00:00Z') });
+  });
+
+  const hang = () => new Promise(() => {});
+  const slow = async (param) => { await clock.sleep(40); return `Slow result: ${param}`; };
+
+  it('passes the result through when the call finishes in time', async () => {
+    const timed = withTimeout(promiseOnlyFunc, 1000, { clock });
+    const { err, result, returned } = await viaCallback(timed, 'fast');
+    assert.equal(err, null);
+    assert.equal(result, 'Promise result: fast');
+    assert.equal(returned, undefined);
+    assert.equal(await timed('fast'), 'Promise result: fast');
+    await assert.rejects(timed('err'), { message: 'Promise function error' });
+    assert.equal(clock.pending, 0);
+  });
+
+  it('fails with a TimeoutError through the callback in callback mode', async () => {
+    const called = viaCallback(withTimeout(hang, 10, { clock }), 'x');
+    await clock.advance(9);
+    assert.equal(clock.pending, 1);
+    await clock.advance(1);
+
+    const { err, returned } = await called;
+    assert.ok(err instanceof TimeoutError);
+    assert.equal(err.code, 'ERR_TIMEOUT');
+    assert.equal(err.timeout, 10);
+    assert.equal(err.message, 'hang() timed out after 10ms');
+    assert.equal(returned, undefined);
+  });
+
+  it('rejects with a TimeoutError in promise mode', async () => {
+    const rejected = assert.rejects(withTimeout(hang, 10, { clock })('x'), { name: 'TimeoutError', code: 'ERR_TIMEOUT' });
+    await clock.advance(10);
+    await rejected;
+  });
 
-  // Error case
-  try {
-    const result = await dualModeFunc('err');
-    error('Should have thrown error');
-  } catch (err) {
-    success(`Error caught: ${err.message}`);
+  it('ignores the late result: the callback runs once', async () => {
+    const calls = [];
+    withTimeout(slow, 10, { clock })('late', (...args) => calls.push(args));
+    await clock.advance(80);
+
+    assert.equal(calls.length, 1);
+    assert.ok(calls[0][0] instanceof TimeoutError);
+  });
+
+  it('ignores a late rejection without an unhandled rejection', async () => {
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+      const failsLate = async () => { await clock.sleep(30); throw new Error('late failure'); };
+      const rejected = assert.rejects(withTimeout(failsLate, 5, { clock })(), TimeoutError);
+      await clock.advance(5);
+      await rejected;
+      await clock.runAll();
+      await wait(0);
+      assert.deepEqual(unhandled, []);
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+    }
+  });
+
+  it('clears the deadline when the call is aborted, even if fn ignores the signal', async () => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    const rejected = assert.rejects(withTimeout(hang, 1000, { clock })({ signal }), { name: 'AbortError' });
+    assert.equal(clock.pending, 1);
+
+    controller.abort();
+    await rejected;
+    assert.equal(clock.pending, 0);
+    assert.equal(getEventListeners(signal, 'abort').length, 0);
+  });
+
+  it('removes its abort listener once the call settles', async () => {
+    const { signal } = new AbortController();
+    assert.equal(await withTimeout(promiseOnlyFunc, 1000, { clock })('x', { signal }), 'Promise result: x');
+    assert.equal(getEventListeners(signal, 'abort').length, 0);
+    assert.equal(clock.pending, 0);
+  });
+
+  it('wraps dual-mode functions and keeps name and length', async () => {
+    const timed = withTimeout(dualModeFunc, 1000, { clock });
+    assert.equal(timed.name, 'dualModeFunc');
+    assert.equal(timed.length, 2);
+    assert.equal(await timed('x'), 'Dual-mode result: x');
+  });
+
+  it('accepts a Date deadline; a passed deadline never starts the work', async () => {
+    let started = 0;
+    const counted = async () => { started += 1; return 'ok'; };
+
+    assert.equal(await withTimeout(counted, new Date(clock.now() + 1000), { clock })(), 'ok');
+    await assert.rejects(withTimeout(counted, new Date(clock.now() - 1), { clock })(), TimeoutError);
+    assert.equal(started, 1);
+  });
+
+  it('rejects invalid limits', () => {
+    assert.throws(() => withTimeout(hang, -1), RangeError);
+    assert.throws(() => withTimeout(hang, Infinity), RangeError);
+    assert.throws(() => withTimeout('nope', 10), TypeError);
+  });
+
+  it('clears its timer once the call settles, so the process can exit', () => {
+    // A finished call with a one-minute limit must not hold the process open
+    const script = `
+      import { withTimeout } from ${JSON.stringify(new URL('lib/timeout.js', import.meta.url).href)};
+      const timed = withTimeout(async (n) => n * 2, 60_000);
+      timed(21, () => {});
+      console.log(await timed(21));
+    `;
+    const child = spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+      encoding: 'utf8',
+      timeout: 10_000,
+    });
+
+    assert.equal(child.status, 0, child.stderr);
+    assert.equal(child.stdout.trim(), '42');
+  });
+});
+
+describe('19. retry() with backoff', () => {
+  // Fails the first `failures` calls per key, then succeeds
+  const flaky = (failures) => {
+    const calls = new Map();
+    const fn = async (key) => {
+      const count = (calls.get(key) ?? 0) + 1;
+      calls.set(key, count);
+      if (count <= failures) throw new Error(`Attempt ${count} failed for ${key}`);
+      return `Saved ${key}`;
+    };
+    return { fn, calls };
+  };
+
+  // retry() waits on a virtual clock; settled() runs its timers until `work`
+  // settles, so the waits take no real time
+  let clock;
+  let fast;
+  beforeEach(() => {
+    clock = createVirtualClock({ seed: 3 });
+    fast = { delay: 1, jitter: false, clock };
+  });
+
+  const settled = async (work) => {
+    const outcome = Promise.allSettled([work]);
+    await clock.runAll();
+    const [{ status, value, reason }] = await outcome;
+    if (status === 'rejected') throw reason;
+    return value;
+  };
+
+  it('resolves once an attempt succeeds, in both modes', async () => {
+    const { fn, calls } = flaky(2);
+    const saveUser = retry(fn, { retries: 3, ...fast });
+
+    assert.equal(await settled(saveUser('Alice')), 'Saved Alice');
+    assert.equal(calls.get('Alice'), 3);
+
+    const { err, result, returned } = await settled(viaCallback(saveUser, 'Bob'));
+    assert.equal(err, null);
+    assert.equal(result, 'Saved Bob');
+    assert.equal(returned, undefined);
+  });
+
+  it('gives up with a RetryError holding the attempt history', async () => {
+    const { fn } = flaky(Infinity);
+    const { err } = await settled(viaCallback(retry(fn, { retries: 2, ...fast }), 'Charlie'));
+
+    assert.ok(err instanceof RetryError);
+    assert.equal(err.code, 'ERR_RETRY');
+    assert.equal(err.message, 'fn() failed after 3 attempts: Attempt 3 failed for Charlie');
+    assert.equal(err.cause.message, 'Attempt 3 failed for Charlie');
+    assert.deepEqual(err.attempts.map(({ attempt, delay }) => [attempt, delay]), [[1, 1], [2, 2], [3, undefined]]);
+    assert.deepEqual(err.attempts.map(({ error }) => error.message), [
+      'Attempt 1 failed for Charlie',
+      'Attempt 2 failed for Charlie',
+      'Attempt 3 failed for Charlie',
+    ]);
+  });
+
+  it('stops at the first error retryIf refuses', async () => {
+    const { fn, calls } = flaky(Infinity);
+    const seen = [];
+    const saveUser = retry(fn, {
+      ...fast,
+      retryIf: (err, attempt) => { seen.push(attempt); return attempt < 2; },
+    });
+
+    await assert.rejects(settled(saveUser('Diana')), (err) => err.attempts.length === 2);
+    assert.equal(calls.get('Diana'), 2);
+    assert.deepEqual(seen, [1, 2]);
+  });
+
+  it('computes exponential, linear and custom waits, capped by maxDelay', async () => {
+    const delays = async (options) => {
+      const { fn } = flaky(Infinity);
+      const err = await settled(retry(fn, { retries: 4, jitter: false, clock, ...options })('x')).catch((e) => e);
+      return err.attempts.map(({ delay }) => delay).slice(0, -1);
+    };
+
+    assert.deepEqual(await delays({ delay: 1 }), [1, 2, 4, 8]);
+    assert.deepEqual(await delays({ delay: 1, backoff: 'linear' }), [1, 2, 3, 4]);
+    assert.deepEqual(await delays({ delay: 2, backoff: 'constant' }), [2, 2, 2, 2]);
+    assert.deepEqual(await delays({ delay: 1, maxDelay: 3 }), [1, 2, 3, 3]);
+    assert.deepEqual(await delays({ backoff: (attempt) => attempt * 3 }), [3, 6, 9, 12]);
+  });
+
+  it('jitter only ever shortens the wait', async () => {
+    const { fn } = flaky(Infinity);
+    const started = clock.now();
+    const err = await settled(retry(fn, { retries: 3, delay: 4, jitter: 0.5, clock })('x')).catch((e) => e);
+    const waits = err.attempts.map(({ delay }) => delay).slice(0, -1);
+    const [first, second, third] = waits;
+
+    assert.ok(first >= 2 && first <= 4, `first wait ${first}`);
+    assert.ok(second >= 4 && second <= 8, `second wait ${second}`);
+    assert.ok(third >= 8 && third <= 16, `third wait ${third}`);
+
+    // The clock's seeded random() makes the waits exact
+    const random = seededRandom(3);
+    assert.deepEqual(waits, [4, 8, 16].map((wait) => Math.round(wait * (1 - 0.5 * random()))));
+    assert.equal(clock.now() - started, first + second + third);
+  });
+
+  it('retries only the failed items of a batch', async () => {
+    const calls = new Map();
+    const saveUser = async (user) => {
+      const count = (calls.get(user) ?? 0) + 1;
+      calls.set(user, count);
+      if (user === 'Charlie' && count === 1) throw new Error('Database write failed for Charlie');
+      return `Saved ${user}`;
+    };
+
+    const users = ['Alice', 'Bob', 'Charlie', 'Diana'];
+    const results = await settled(mapConcurrent(users, 2, retry(saveUser, fast)));
+
+    assert.deepEqual(results, users.map((user) => `Saved ${user}`));
+    assert.deepEqual(Object.fromEntries(calls), { Alice: 1, Bob: 1, Charlie: 2, Diana: 1 });
+  });
+
+  it('stops waiting when the signal aborts and never retries an AbortError', async () => {
+    const { fn, calls } = flaky(Infinity);
+    const controller = new AbortController();
+    const pending = retry(fn, { delay: 1_000, jitter: false, clock })('x', { signal: controller.signal });
+    await clock.advance(10);
+    controller.abort();
+
+    await assert.rejects(pending, AbortError);
+    assert.equal(clock.pending, 0);
+    await clock.advance(2_000);
+    assert.equal(calls.get('x'), 1);
+
+    let aborted = 0;
+    const aborts = async () => { aborted += 1; throw new AbortError(); };
+    await assert.rejects(retry(aborts, fast)(), AbortError);
+    assert.equal(aborted, 1);
+  });
+
+  it('rejects invalid options', () => {
+    assert.throws(() => retry('nope'), TypeError);
+    assert.throws(() => retry(async () => {}, { retries: -1 }), RangeError);
+    assert.throws(() => retry(async () => {}, { backoff: 'fibonacci' }), TypeError);
+    assert.throws(() => retry(async () => {}, { jitter: 2 }), RangeError);
+  });
+});
+
+describe('20. runBatch() partial-failure report', () => {
+  const saveUser = async (user) => {
+    await wait(user === 'Alice' ? 15 : 1);
+    if (user === 'Charlie' || user === 'Erin') throw new Error(`Database write failed for ${user}`);
+    return `Saved ${user}`;
+  };
+
+  it('processes every item and reports each outcome in item order', async () => {
+    const report = await runBatch(['Alice', 'Bob', 'Charlie', 'Diana'], saveUser);
+
+    assert.equal(report.total, 4);
+    assert.deepEqual(report.succeeded, [
+      { index: 0, item: 'Alice', value: 'Saved Alice' },
+      { index: 1, item: 'Bob', value: 'Saved Bob' },
+      { index: 3, item: 'Diana', value: 'Saved Diana' },
+    ]);
+    assert.equal(report.failed.length, 1);
+    assert.equal(report.failed[0].item, 'Charlie');
+    assert.equal(report.failed[0].error.message, 'Database write failed for Charlie');
+    assert.deepEqual(report.skipped, []);
+  });
+
+  it('stops starting items after maxFailures, and finishes those in flight', async () => {
+    const started = [];
+    const users = ['Charlie', 'Alice', 'Erin', 'Bob', 'Diana'];
+    const report = await runBatch(users, (user) => { started.push(user); return saveUser(user); }, {
+      limit: 2,
+      maxFailures: 1,
+    });
+
+    // Charlie fails while Alice is in flight: Alice still finishes, no one else starts
+    assert.deepEqual(started, ['Charlie', 'Alice']);
+    assert.deepEqual(report.succeeded.map(({ item }) => item), ['Alice']);
+    assert.deepEqual(report.failed.map(({ item }) => item), ['Charlie']);
+    assert.deepEqual(report.skipped, [
+      { index: 2, item: 'Erin' },
+      { index: 3, item: 'Bob' },
+      { index: 4, item: 'Diana' },
+    ]);
+  });
+
+  it('reports through the callback in callback mode, with err null', async () => {
+    const { err, result, returned } = await viaCallback(runBatch, ['Bob', 'Erin'], saveUser);
+    assert.equal(err, null);
+    assert.equal(returned, undefined);
+    assert.deepEqual(result.succeeded.map(({ item }) => item), ['Bob']);
+    assert.deepEqual(result.failed.map(({ item }) => item), ['Erin']);
+
+    const withOptions = await viaCallback(runBatch, ['Bob'], saveUser, { limit: 1 });
+    assert.equal(withOptions.result.succeeded.length, 1);
+  });
+
+  it('counts synchronous throws as failures', async () => {
+    const report = await runBatch([1, 2], (n) => { if (n === 1) throw new Error('sync'); return n; });
+    assert.deepEqual(report.failed.map(({ item, error }) => [item, error.message]), [[1, 'sync']]);
+    assert.deepEqual(report.succeeded.map(({ value }) => value), [2]);
+  });
+
+  it('handles empty batches and rejects invalid options', async () => {
+    assert.deepEqual(await runBatch([], saveUser), { total: 0, succeeded: [], failed: [], skipped: [] });
+    await assert.rejects(runBatch(['Bob'], saveUser, { maxFailures: 0 }), RangeError);
+    await assert.rejects(runBatch(['Bob'], 'nope'), TypeError);
+  });
+
+  it('rejects with an AbortError when the signal aborts', async () => {
+    const controller = new AbortController();
+    const pending = runBatch(['Alice', 'Bob'], saveUser, { limit: 1, signal: controller.signal });
+    controller.abort();
+    await assert.rejects(pending, AbortError);
+  });
+});
+
+describe('21. Async iterators (pattern 4)', () => {
+  // Callback-only paginated API over `items`, `size` per page
+  const pagedApi = (items, size) => {
+    const api = (cursor, callback) => {
+      api.fetched += 1;
+      setImmediate(() => {
+        const offset = cursor ?? 0;
+        const next = offset + size < items.length ? offset + size : null;
+        callback(null, { items: items.slice(offset, offset + size), next });
+      });
+    };
+    api.fetched = 0;
+    return api;
+  };
+
+  const collect = async (iterable) => {
+    const values = [];
+    for await (const value of iterable) values.push(value);
+    return values;
+  };
+
+  it('fromCallbackPages() yields every item across pages', async () => {
+    const api = pagedApi([1, 2, 3, 4, 5], 2);
+    assert.deepEqual(await collect(fromCallbackPages(api)), [1, 2, 3, 4, 5]);
+    assert.equal(api.fetched, 3);
+  });
+
+  it('fromCallbackPages() fetches lazily: break stops the fetching', async () => {
+    const api = pagedApi([1, 2, 3, 4, 5], 2);
+    for await (const n of fromCallbackPages(api)) {
+      if (n === 1) break;
+    }
+    assert.equal(api.fetched, 1);
+  });
+
+  it('fromCallbackPages() throws callback errors and synchronous throws in the loop', async () => {
+    const failing = (cursor, callback) => setImmediate(() => callback(new Error('Page 2 unavailable')));
+    await assert.rejects(collect(fromCallbackPages(failing)), { message: 'Page 2 unavailable' });
+
+    const throwing = () => { throw new Error('Bad cursor'); };
+    await assert.rejects(collect(fromCallbackPages(throwing)), { message: 'Bad cursor' });
+  });
+
+  it('fromCallbackPages() stops with an AbortError between pages', async () => {
+    const controller = new AbortController();
+    const api = pagedApi([1, 2, 3, 4], 2);
+    const seen = [];
+    await assert.rejects(async () => {
+      for await (const n of fromCallbackPages(api, { signal: controller.signal })) {
+        seen.push(n);
+        controller.abort();
+      }
+    }, AbortError);
+    assert.deepEqual(seen, [1, 2]);
+    assert.equal(api.fetched, 1);
+  });
+
+  it('fromCallbackPages() stops with an AbortError while a page never arrives', async () => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    const stalled = () => {}; // never calls back
+    const reading = assert.rejects(collect(fromCallbackPages(stalled, { signal })), { name: 'AbortError' });
+
+    setImmediate(() => controller.abort());
+    await reading;
+    assert.equal(getEventListeners(signal, 'abort').length, 0);
+  });
+
+  it('fromEmitter() yields events until the end event, including those emitted early', async () => {
+    const emitter = new EventEmitter();
+    const messages = fromEmitter(emitter, 'message');
+    emitter.emit('message', 'early');
+    setImmediate(() => {
+      emitter.emit('message', 'late');
+      emitter.emit('message', 'a', 'b');
+      emitter.emit('end');
+    });
+
+    assert.deepEqual(await collect(messages), ['early', 'late', ['a', 'b']]);
+    assert.equal(emitter.listenerCount('message'), 0);
+    assert.equal(emitter.listenerCount('end'), 0);
+    assert.equal(emitter.listenerCount('error'), 0);
+  });
+
+  it('fromEmitter() throws the error event after the buffered values', async () => {
+    const emitter = new EventEmitter();
+    const seen = [];
+    setImmediate(() => {
+      emitter.emit('message', 1);
+      emitter.emit('message', 2);
+      emitter.emit('error', new Error('Socket hang up'));
+    });
+
+    await assert.rejects(async () => {
+      for await (const value of fromEmitter(emitter, 'message')) seen.push(value);
+    }, { message: 'Socket hang up' });
+    assert.deepEqual(seen, [1, 2]);
+    assert.equal(emitter.listenerCount('error'), 0);
+  });
+
+  it('fromEmitter() removes its listeners on break', async () => {
+    const emitter = new EventEmitter();
+    const ticks = fromEmitter(emitter, 'tick');
+    assert.equal(emitter.listenerCount('tick'), 1);
+    assert.equal(emitter.listenerCount('error'), 1);
+
+    const timer = setInterval(() => emitter.emit('tick', Date.now()), 1);
+    try {
+      for await (const tick of ticks) {
+        if (tick) break;
+      }
+    } finally {
+      clearInterval(timer);
+    }
+
+    assert.equal(emitter.listenerCount('tick'), 0);
+    assert.equal(emitter.listenerCount('end'), 0);
+    assert.equal(emitter.listenerCount('error'), 0);
+  });
+
+  it('fromEmitter() pauses a pausable emitter while its buffer is full', async () => {
+    const emitter = new EventEmitter();
+    const calls = [];
+    emitter.pause = () => calls.push('pause');
+    emitter.resume = () => calls.push('resume');
+
+    const values = fromEmitter(emitter, 'data', { highWaterMark: 2 });
+    emitter.emit('data', 1);
+    assert.deepEqual(calls, []);
+    emitter.emit('data', 2);
+    assert.deepEqual(calls, ['pause']);
+
+    assert.deepEqual(await values.next(), { value: 1, done: false });
+    assert.deepEqual(calls, ['pause', 'resume']);
+    await values.return();
+  });
+
+  it('fromEmitter() resumes a Readable paused while the loop was waiting', async () => {
+    // With highWaterMark 1, each chunk that reaches a waiting loop pauses the stream
+    const stream = Readable.from(['a', 'b', 'c', 'd']);
+    assert.deepEqual(await collect(fromEmitter(stream, 'data', { highWaterMark: 1 })), ['a', 'b', 'c', 'd']);
+  });
+
+  it('fromEmitter() ends with an AbortError when the signal aborts', async () => {
+    const emitter = new EventEmitter();
+    const controller = new AbortController();
+    const values = fromEmitter(emitter, 'data', { signal: controller.signal });
+    const pending = values.next();
+    controller.abort();
+
+    await assert.rejects(pending, AbortError);
+    assert.equal(emitter.listenerCount('data'), 0);
+    assert.deepEqual(getEventListeners(controller.signal, 'abort'), []);
+
+    await assert.rejects(fromEmitter(emitter, 'data', { signal: controller.signal }).next(), AbortError);
+    assert.equal(emitter.listenerCount('data'), 0);
+  });
+
+  it('examples/12 shows each pitfall and its fix', () => {
+    const child = spawnSync(process.execPath, [exampleFile('12-async-iterators.js')], {
+      encoding: 'utf8',
+      timeout: 30_000,
+    });
+
+    assert.equal(child.status, 0, child.stderr);
+    assert.match(child.stdout, /break at Bob: 1 page fetched/);
+    assert.match(child.stdout, /✅ caught: Connection lost mid-stream/);
+    assert.match(child.stdout, /after break: destroyed = true/);
+    assert.match(child.stdout, /tick listeners after break: +0/);
+    assert.match(child.stdout, /❌ write\(\) ignored: +1000 chunks/);
+    assert.match(child.stdout, /✅ pipeline\(\): +4 chunks/);
+  });
+});
+
+describe('22. EventEmitters in the dual-mode shape', () => {
+  // Answers each send() with 'response', 'error' or 'timeout' on a later tick
+  class Client extends EventEmitter {
+    send(id) {
+      setImmediate(() => {
+        if (id === 'bad') this.emit('error', new Error(`Request ${id} failed`));
+        else if (id === 'slow') this.emit('timeout', 5000);
+        else this.emit('response', `Response to ${id}`);
+      });
+      return this;
+    }
   }
 
-  // ====
+  const listeners = (client) => ['response', 'error', 'timeout'].map((name) => client.listenerCount(name));
+
+  it('the hand-written once/once bridge leaks an error listener per call', async () => {
+    const client = new Client();
+    client.setMaxListeners(0);
+    const request = (id) => new Promise((resolve, reject) => {
+      client.send(id).once('response', resolve);
+      client.once('error', reject);
+    });
+
+    for (let i = 0; i < 5; i++) await request(i);
+    assert.equal(client.listenerCount('error'), 5);
+  });
+
+  it('events.once() never settles on a failure event other than error', async () => {
+    const client = new Client();
+    const pending = once(client.send('slow'), 'response');
+    const outcome = await Promise.race([pending, wait(20).then(() => 'pending')]);
+
+    assert.equal(outcome, 'pending');
+    assert.equal(client.listenerCount('response'), 1);
+    client.emit('response', 'unblock');
+    await pending;
+  });
+
+  it('waitForEvent() resolves and removes every listener', async () => {
+    const client = new Client();
+    const request = (id) => waitForEvent(client.send(id), 'response', { rejectOn: ['error', 'timeout'] });
+
+    for (let i = 0; i < 5; i++) assert.equal(await request(i), `Response to ${i}`);
+    assert.deepEqual(listeners(client), [0, 0, 0]);
+  });
 
-  section('5. DUAL-MODE PATTERN - .then().catch() MODE');
+  it('waitForEvent() rejects on error and on custom failure events, removing every listener', async () => {
+    const client = new Client();
+    const options = { rejectOn: ['error', 'timeout'] };
 
-  await dualModeFunc('test')
-    .then(result => {
-      success(result);
-    })
-    .catch(err => {
-      error(`Unexpected error: ${err.message}`);
+    await assert.rejects(waitForEvent(client.send('bad'), 'response', options), { message: 'Request bad failed' });
+    assert.deepEqual(listeners(client), [0, 0, 0]);
+
+    await assert.rejects(waitForEvent(client.send('slow'), 'response', options), (err) => {
+      assert.equal(err.code, 'ERR_EVENT');
+      assert.deepEqual(err.args, [5000]);
+      return true;
+    });
+    assert.deepEqual(listeners(client), [0, 0, 0]);
+  });
+
+  it('waitForEvent() calls back once in callback mode', async () => {
+    const client = new Client();
+    const { err, result, returned } = await viaCallback(waitForEvent, client.send('a'), 'response');
+    assert.equal(err, null);
+    assert.equal(result, 'Response to a');
+    assert.equal(returned, undefined);
+
+    const failed = await viaCallback(waitForEvent, client.send('bad'), 'response');
+    assert.equal(failed.err.message, 'Request bad failed');
+    assert.deepEqual(listeners(client), [0, 0, 0]);
+  });
+
+  it('waitForEvent() resolves with an array for multi-argument events', async () => {
+    const emitter = new EventEmitter();
+    setImmediate(() => emitter.emit('exit', 1, 'SIGTERM'));
+    assert.deepEqual(await waitForEvent(emitter, 'exit'), [1, 'SIGTERM']);
+  });
+
+  it('waitForEvent() removes its listeners when the signal aborts', async () => {
+    const client = new Client();
+    const controller = new AbortController();
+    const pending = waitForEvent(client, 'response', { signal: controller.signal });
+    assert.deepEqual(listeners(client), [1, 1, 0]);
+
+    controller.abort();
+    await assert.rejects(pending, AbortError);
+    assert.deepEqual(listeners(client), [0, 0, 0]);
+    assert.deepEqual(getEventListeners(controller.signal, 'abort'), []);
+  });
+
+  it('fromEmitterApi() builds a dual-mode function that passes assertDualMode()', async () => {
+    const client = new Client();
+    const request = fromEmitterApi(function request(id) { return client.send(id); }, {
+      resolveOn: 'response',
+      rejectOn: ['error', 'timeout'],
     });
 
-  await dualModeFunc('err')
-    .then(result => {
-      error('Should have caught error');
-    })
-    .catch(err => {
-      success(`Error caught: ${err.message}`);
+    assert.equal(request.name, 'request');
+    await assertDualMode(request, { successArgs: ['a'], failureArgs: ['bad'] });
+    assert.deepEqual(listeners(client), [0, 0, 0]);
+  });
+
+  it('rejects invalid arguments', async () => {
+    await assert.rejects(waitForEvent({}, 'response'), TypeError);
+    assert.throws(() => fromEmitterApi('nope', { resolveOn: 'done' }), TypeError);
+    assert.throws(() => fromEmitterApi(() => new EventEmitter()), TypeError);
+  });
+});
+
+describe('23. Package entry points', () => {
+  const pkg = JSON.parse(readFileSync(repoFile('package.json'), 'utf8'));
+  const require = createRequire(import.meta.url);
+
+  it('the main entry point exports every helper from its module', async () => {
+    const main = await import('async-mix-and-match');
+
+    assert.deepEqual(Object.keys(main).sort(), [
+      'AbortError', 'AsyncMixError', 'RetryError', 'TimeoutError',
+      'assertDualMode', 'bindContext', 'createVirtualClock', 'dezalgo', 'diagnosePattern', 'dualMode',
+      'dualModeWithContext', 'eachSeries', 'filterAsync', 'fromCallbackPages', 'fromEmitter', 'fromEmitterApi', 'guardSettlement',
+      'installDiagnostics', 'mapConcurrent', 'mapSettled', 'promisify', 'retry', 'runBatch',
+      'seededRandom', 'systemClock', 'trackPending', 'waitForEvent', 'withTimeout',
+    ]);
+    assert.equal(main.dualMode, dualMode);
+    assert.equal(main.AbortError, AbortError);
+  });
+
+  it('require() gets the same modules as import', () => {
+    const main = require('async-mix-and-match');
+    assert.equal(main.dualMode, dualMode);
+    assert.equal(main.runBatch, runBatch);
+    assert.equal(require('async-mix-and-match/errors').AbortError, AbortError);
+  });
+
+  it('every subpath in the exports map resolves', async () => {
+    const subpaths = Object.keys(pkg.exports).filter((key) => key !== '.' && key !== './package.json');
+    for (const subpath of subpaths) {
+      const specifier = `async-mix-and-match/${subpath.slice(2)}`;
+      const target = pkg.exports[subpath].default ?? pkg.exports[subpath];
+      assert.equal(fileURLToPath(import.meta.resolve(specifier)), repoFile(target), specifier);
+
+      // Every module has types next to it, except the ESLint plugin
+      if (pkg.exports[subpath].types) {
+        assert.doesNotThrow(() => readFileSync(repoFile(pkg.exports[subpath].types)), specifier);
+      }
+    }
+    assert.equal((await import('async-mix-and-match/collections')).mapConcurrent, mapConcurrent);
+  });
+
+  it('modules outside the exports map are private', async () => {
+    await assert.rejects(import('async-mix-and-match/reporting'), { code: 'ERR_PACKAGE_PATH_NOT_EXPORTED' });
+    assert.throws(() => require('async-mix-and-match/lib/dual-mode.js'), { code: 'ERR_PACKAGE_PATH_NOT_EXPORTED' });
+  });
+});
+
+describe('24. async-mix example runner', () => {
+  it('lists every example in numeric order with its headline', () => {
+    const examples = listExamples();
+    const names = examples.map((example) => example.name);
+
+    assert.equal(names[0], '1-broken-mixing');
+    assert.deepEqual(names.slice(6, 11), [
+      '6b-deopt-analysis', '7-foreach-async-problem', '7b-foreach-fails-silently',
+      '7c-foreach-exits-early', '7d-track-pending-work',
+    ]);
+    assert.equal(names.at(-1), '14-async-context');
+    assert.equal(examples[0].headline, '❌ BROKEN: This demonstrates what NOT to do');
+  });
+
+  it('finds an example by number, name or path', () => {
+    assert.equal(findExample('7b').name, '7b-foreach-fails-silently');
+    assert.equal(findExample('7b-foreach-fails-silently').name, '7b-foreach-fails-silently');
+    assert.equal(findExample('examples/10-retry-backoff.js').name, '10-retry-backoff');
+    assert.equal(findExample('7e'), undefined);
+  });
+
+  it('normalizes timestamps, durations, pids, paths and Node internals', () => {
+    const root = fileURLToPath(new URL('.', import.meta.url)).replace(/[\\/]$/, '');
+    const raw = [
+      '  timestamp: 1792335103660',
+      '     attempt 2: ECONNREFUSED, waited 18ms',
+      '(node:18227) MaxListenersExceededWarning: Possible EventEmitter memory leak detected.',
+      `    at saveUser (${new URL('examples/7b-foreach-fails-silently.js', import.meta.url).href}:21:11)`,
+      `    at ${root}/lib/retry.js:10:3`,
+      '    at listOnTimeout (node:internal/timers:588:17)',
+      'Node.js v22.20.0',
+    ].join('\n');
+
+    assert.equal(normalizeOutput(raw), [
+      '  timestamp: <timestamp>',
+      '     attempt 2: ECONNREFUSED, waited <n>ms',
+      '(node:<pid>) MaxListenersExceededWarning: Possible EventEmitter memory leak detected.',
+      '    at saveUser (<repo>/examples/7b-foreach-fails-silently.js:21:11)',
+      '    at <repo>/lib/retry.js:10:3',
+      '    at listOnTimeout (node:internal/timers)',
+      'Node.js <version>',
+    ].join('\n'));
+  });
+
+  it('every example has a golden file', () => {
+    for (const example of listExamples()) {
+      assert.doesNotThrow(() => readFileSync(repoFile(`examples/golden/${example.name}.txt`)), example.name);
+    }
+  });
+
+  it('is installed as the async-mix command, with the examples', () => {
+    const pkg = JSON.parse(readFileSync(repoFile('package.json'), 'utf8'));
+    assert.deepEqual(pkg.bin, { 'async-mix': 'tools/async-mix.js' });
+    assert.ok(pkg.files.includes('tools/async-mix.js') && pkg.files.includes('examples/'), String(pkg.files));
+
+    // npm runs it through a symlink in node_modules/.bin
+    const dir = mkdtempSync(join(tmpdir(), 'async-mix-bin-'));
+    try {
+      const link = join(dir, 'async-mix');
+      symlinkSync(repoFile('tools/async-mix.js'), link);
+      const child = spawnSync(process.execPath, [link, 'list'], { encoding: 'utf8' });
+      assert.equal(child.status, 0, child.stderr);
+      assert.match(child.stdout, /^1-broken-mixing +❌/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('verify matches the golden files, including the crash of 7b', () => {
+    for (const name of ['7b', '8', '13']) {
+      const result = verifyExample(findExample(name));
+      assert.equal(result.status, 'passed', `${name}\n${result.diff}`);
+    }
+
+    const golden = readFileSync(repoFile('examples/golden/7b-foreach-fails-silently.txt'), 'utf8');
+    assert.match(golden, /^exit code 1\n/);
+    assert.match(golden, /Error: Database write failed for Charlie/);
+  });
+});
+
+describe('25. Virtual clock and seeded random', () => {
+  it('seededRandom() repeats the same sequence for the same seed', () => {
+    const sequence = (seed) => Array.from({ length: 5 }, seededRandom(seed));
+
+    assert.deepEqual(sequence(12), sequence(12));
+    assert.notDeepEqual(sequence(12), sequence(13));
+    assert.ok(sequence(1).every((n) => n >= 0 && n < 1));
+    assert.deepEqual(sequence(12).map((n) => Math.round(n * 1000)), [288, 76, 580, 941, 153]);
+    assert.throws(() => seededRandom(1.5), TypeError);
+  });
+
+  it('runs timers by due time, then creation order, only when time moves', async () => {
+    const clock = createVirtualClock({ now: 1_000 });
+    const order = [];
+
+    clock.setTimeout(() => order.push(`b@${clock.now()}`), 20);
+    clock.setTimeout((name) => order.push(`${name}@${clock.now()}`), 10, 'a');
+    clock.setTimeout(() => order.push(`c@${clock.now()}`), 20);
+    const cancelled = clock.setTimeout(() => order.push('never'), 5);
+    clock.setImmediate(() => order.push(`immediate@${clock.now()}`));
+    clock.clearTimeout(cancelled);
+
+    assert.deepEqual(order, []);
+    assert.equal(clock.pending, 4);
+
+    await clock.advance(15);
+    assert.deepEqual(order, ['immediate@1000', 'a@1010']);
+    assert.equal(clock.now(), 1_015);
+
+    assert.equal(await clock.runAll(), 2);
+    assert.deepEqual(order, ['immediate@1000', 'a@1010', 'b@1020', 'c@1020']);
+    assert.equal(clock.pending, 0);
+  });
+
+  it('runs the promise callbacks between two timers', async () => {
+    const clock = createVirtualClock();
+    const order = [];
+
+    (async () => {
+      await clock.sleep(10);
+      order.push('slept 10');
+      await Promise.resolve();
+      clock.setTimeout(() => order.push('scheduled after the sleep'), 5);
+    })();
+
+    await clock.advance(15);
+    assert.deepEqual(order, ['slept 10', 'scheduled after the sleep']);
+  });
+
+  it('sleep() resolves with its value and rejects with an AbortError on abort', async () => {
+    const clock = createVirtualClock();
+    const sleeping = clock.sleep(100, 'done');
+    await clock.advance(100);
+    assert.equal(await sleeping, 'done');
+
+    const controller = new AbortController();
+    const aborted = clock.sleep(100, 'never', { signal: controller.signal });
+    controller.abort(new Error('stop'));
+    await assert.rejects(aborted, (err) => err instanceof AbortError && err.cause.message === 'stop');
+    assert.equal(clock.pending, 0);
+  });
+
+  it('runAll() stops timers that keep scheduling timers', async () => {
+    const clock = createVirtualClock();
+    const tick = () => clock.setTimeout(tick, 1);
+    tick();
+    await assert.rejects(clock.runAll({ limit: 50 }), /stopped after 50 timers/);
+  });
+
+  it('replays the forEach(async) ordering of example 7 exactly', async () => {
+    // What the real example printed: `verify` keeps the golden file in step
+    // with it. Its saves wait seededRandom(12) * 1000ms, the random source of
+    // a virtual clock seeded with 12
+    const golden = readFileSync(repoFile('examples/golden/7-foreach-async-problem.txt'), 'utf8');
+    const [, forEachSection, forOfSection] = golden.split(/^=== .* ===$/m);
+    const printed = (section) => section.match(/^(Finished save for .*|This logs .*)$/gm);
+
+    const clock = createVirtualClock({ seed: 12 });
+    const users = ['Alice', 'Bob', 'Charlie', 'Diana'];
+    const log = [];
+    const saveUser = async (user) => {
+      await clock.sleep(clock.random() * 1000);
+      log.push(`Finished save for ${user}`);
+    };
+
+    users.forEach(async (user) => {
+      await saveUser(user);
     });
+    log.push('This logs BEFORE saves complete ❌');
+    await clock.runAll();
+    assert.deepEqual(log, printed(forEachSection));
+    assert.equal(Math.round(clock.now()), 941);
+
+    log.length = 0;
+    const sequential = (async () => {
+      for (const user of users) await saveUser(user);
+      log.push('This logs AFTER saves complete ✅');
+    })();
+    await clock.runAll();
+    await sequential;
+    assert.deepEqual(log, printed(forOfSection));
+  });
+
+  it('times out withTimeout() calls at the exact deadline', async () => {
+    const clock = createVirtualClock({ now: new Date('2026-01-01T00:00:00Z') });
+    const hangs = () => new Promise(() => {});
+    const settled = [];
+
+    withTimeout(hangs, 1_000, { clock })().catch((err) => settled.push(err));
+    await clock.advance(999);
+    assert.deepEqual(settled, []);
+
+    await clock.advance(1);
+    assert.ok(settled[0] instanceof TimeoutError);
+    assert.equal(settled[0].timeout, 1_000);
 
-  // ====
+    // A Date deadline is measured against the clock too
+    const deadline = withTimeout(hangs, new Date('2026-01-01T00:00:02Z'), { clock });
+    const late = deadline().catch((err) => err);
+    await clock.advance(1_000);
+    assert.equal((await late).timeout, 1_000);
+    await assert.rejects(deadline(), /missed its deadline of 2026-01-01T00:00:02.000Z/);
+  });
+
+  it('makes retry() waits and jitter exact', async () => {
+    const clock = createVirtualClock({ seed: 7 });
+    const times = [];
+    const fails = async () => {
+      times.push(clock.now());
+      throw new Error('ECONNREFUSED');
+    };
 
-  section('6. KEY INSIGHT: What dualModeFunc returns');
+    const failing = retry(fails, { retries: 3, delay: 100, clock })().catch((err) => err);
+    await clock.runAll();
+    const err = await failing;
 
-  const withCallback = dualModeFunc('test', (err, result) => {
-    // callback is used
+    const random = seededRandom(7);
+    const expected = [100, 200, 400].map((wait) => Math.round(wait * (1 - random())));
+    assert.deepEqual(err.attempts.map(({ delay }) => delay), [...expected, undefined]);
+    assert.deepEqual(times, [0, expected[0], expected[0] + expected[1], expected[0] + expected[1] + expected[2]]);
   });
 
-  const withoutCallback = dualModeFunc('test');
+  it('measures trackPending() tasks and drain timeouts on the clock', async () => {
+    const clock = createVirtualClock();
+    const pending = trackPending({ hookProcess: false, clock });
 
-  log('With callback, returns:', withCallback === undefined ? 'undefined' : 'promise');
-  log('Without callback, returns:', withoutCallback instanceof Promise ? 'promise' : 'undefined');
+    pending.track(clock.sleep(5_000), 'save Diana');
+    await clock.advance(1_500);
+    assert.deepEqual(pending.list(), [{ label: 'save Diana', pendingMs: 1_500 }]);
+
+    const draining = pending.drain({ timeout: 2_000 }).catch((err) => err);
+    await clock.advance(2_000);
+    const err = await draining;
+    assert.equal(err.code, 'ERR_DRAIN_TIMEOUT');
+    assert.deepEqual(err.pending, [{ label: 'save Diana', pendingMs: 3_500 }]);
+    pending.dispose();
+  });
 
-  if (withCallback === undefined) {
-    success('Correctly returns undefined when callback provided');
+  it('systemClock is real time', async () => {
+    assert.ok(Math.abs(systemClock.now() - Date.now()) < 50);
+    assert.equal(await systemClock.sleep(1, 'value'), 'value');
+    const random = systemClock.random();
+    assert.ok(random >= 0 && random < 1);
+  });
+});
+
+describe('26. Async context through callbacks', () => {
+  const requestContext = new AsyncLocalStorage();
+  const requestId = () => requestContext.getStore()?.requestId;
+
+  // A hand-rolled callback queue: one worker, started by the first call that
+  // finds it idle, calls every queued callback
+  function createQueue() {
+    const jobs = [];
+    return function enqueue(param, callback) {
+      jobs.push(() => callback(param === 'err' ? new Error('Queue error') : null, `Queued result: ${param}`));
+      if (jobs.length === 1) {
+        setImmediate(() => {
+          while (jobs.length > 0) jobs.shift()();
+        });
+      }
+    };
   }
 
-  if (withoutCallback instanceof Promise) {
-    success('Correctly returns promise when no callback provided');
+  // Calls `fn` in callback mode once per request ID, all in flight together;
+  // resolves with the request ID each callback ran under
+  function seenByCallbacks(fn, ids = ['req-1', 'req-2', 'req-3']) {
+    return Promise.all(ids.map((id) => requestContext.run({ requestId: id }, () =>
+      new Promise((resolve) => fn(id, () => resolve(requestId())))
+    )));
   }
 
-  section('SUMMARY');
+  it('a hand-rolled queue loses the request ID; bindContext() keeps it', async () => {
+    const enqueue = createQueue();
+    assert.deepEqual(await seenByCallbacks(enqueue), ['req-1', 'req-1', 'req-1']);
+    assert.deepEqual(await seenByCallbacks(bindContext(enqueue)), ['req-1', 'req-2', 'req-3']);
+  });
 
-  console.log(`${colors.bright}Three correct patterns:${colors.reset}
+  it('Node keeps the request ID through callbackOnlyFunc and an awaited promiseOnlyFunc', async () => {
+    assert.deepEqual(await seenByCallbacks(callbackOnlyFunc), ['req-1', 'req-2', 'req-3']);
 
-1. ${colors.cyan}Callback-only${colors.reset}
-   - No return value for caller
-   - Use error-first convention
-   - Simple and works well with older code
+    const seen = await Promise.all(['req-1', 'req-2'].map((id) => requestContext.run({ requestId: id }, async () => {
+      await promiseOnlyFunc(id);
+      return requestId();
+    })));
+    assert.deepEqual(seen, ['req-1', 'req-2']);
+  });
 
-2. ${colors.cyan}Promise-only${colors.reset}
-   - Always returns a promise
-   - Use async/await or .then()/.catch()
-   - Modern, recommended approach
+  it('an awaited promise over the queue keeps the request ID; code inside the queue does not', async () => {
+    const enqueue = createQueue();
+    const insideQueue = [];
+    const query = (param) => new Promise((resolve) => enqueue(param, (err, result) => {
+      insideQueue.push(requestId());
+      resolve(result);
+    }));
 
-3. ${colors.cyan}Dual-mode${colors.reset}
-   - Detect callback presence
-   - Return promise only if no callback
-   - Forces users into one mode per call
-   - Used by MongoDB, Express, etc.
+    const seen = await Promise.all(['req-1', 'req-2'].map((id) => requestContext.run({ requestId: id }, async () => {
+      assert.equal(await query(id), `Queued result: ${id}`);
+      return requestId();
+    })));
+    assert.deepEqual(seen, ['req-1', 'req-2']);
+    assert.deepEqual(insideQueue, ['req-1', 'req-1']);
+  });
 
-${colors.bright}Key principle:${colors.reset}
-Users choose ONE pattern per function call. The function
-enforces this by either consuming the promise (callback mode)
-or returning it (promise mode), never both.
-`);
-}
+  it('bindContext() passes the results, this and calls without a callback through', async () => {
+    const enqueue = bindContext(createQueue());
+    const { err, result } = await viaCallback(enqueue, 'test');
+    assert.equal(err, null);
+    assert.equal(result, 'Queued result: test');
+    assert.equal((await viaCallback(enqueue, 'err')).err.message, 'Queue error');
+
+    const dual = bindContext(dualModeFunc);
+    assert.equal(dual.name, 'dualModeFunc');
+    assert.equal(dual.length, 2);
+    assert.equal(await dual('test'), 'Dual-mode result: test');
+
+    const receiver = { prefix: 'this', read(param, callback) { callback(null, `${this.prefix}: ${param}`); } };
+    receiver.read = bindContext(receiver.read);
+    assert.equal((await viaCallback(receiver.read.bind(receiver), 'x')).result, 'this: x');
+
+    assert.throws(() => bindContext(null), TypeError);
+  });
+
+  it('bindContext() only binds a callback past `arity` arguments', () => {
+    let received;
+    const each = bindContext((items, iteratee) => { received = iteratee; }, { arity: 2 });
+    const iteratee = () => {};
+    each([1], iteratee);
+    assert.equal(received, iteratee);
+  });
+
+  it('dualModeWithContext() keeps the request ID in callback mode and stays dual-mode', async () => {
+    const enqueue = createQueue();
+    const queued = (param) => new Promise((resolve, reject) => enqueue(param, (err, result) => (err ? reject(err) : resolve(result))));
+    const wrapped = dualModeWithContext(queued);
 
-runTests().catch(err => {
-  console.error('Test suite error:', err);
-  process.exit(1);
+    assert.deepEqual(await seenByCallbacks(wrapped), ['req-1', 'req-2', 'req-3']);
+
+    const { err, returned } = await viaCallback(wrapped, 'err');
+    assert.equal(err.message, 'Queue error');
+    assert.equal(returned, undefined);
+    assert.equal(await wrapped('test'), 'Queued result: test');
+    await assertDualMode(wrapped, { successArgs: ['test'], failureArgs: ['err'] });
+  });
+
+  it('example 14 shows only the hand-rolled queue losing the request ID', () => {
+    const result = verifyExample(findExample('14'));
+    assert.equal(result.status, 'passed', result.diff);
+
+    const golden = readFileSync(repoFile('examples/golden/14-async-context.txt'), 'utf8');
+    assert.deepEqual(golden.match(/.*❌$/gm), ['  req-2: result handled as req-1 ❌']);
+  });
 });
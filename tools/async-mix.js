@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+// 🧪 async-mix: list, run and verify the examples
+// The examples print in setTimeout order, crash on purpose (1, 5, 7b) and
+// exit early (7c), so "does it still behave the same?" used to mean reading
+// interleaved output by eye. `verify` runs each example, captures stdout,
+// stderr and the exit code, and compares them with examples/golden/<name>.txt:
+//
+//   npx async-mix list                          # where the package is installed
+//   node tools/async-mix.js list
+//   node tools/async-mix.js run 7b              # by number, name or path
+//   node tools/async-mix.js verify              # every example; exits 1 on a difference
+//   node tools/async-mix.js verify 7b 8 --update  # re-record after an intended change
+//
+// Output is normalized before comparing, so only behavior counts: Date.now()
+// timestamps, measured durations, process IDs, the repo's absolute path,
+// line numbers inside Node's own modules and the Node version printed by a
+// crash. A Node upgrade that changes behavior (7b no longer crashing on the
+// unhandled rejection, a warning that appears or goes away) still shows up.
+
+import { spawnSync } from 'node:child_process';
+import { existsSync, mkdirSync, readFileSync, readdirSync, realpathSync, writeFileSync } from 'node:fs';
+import { basename, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url)).replace(/[\\/]$/, '');
+const EXAMPLES_DIR = resolve(ROOT, 'examples');
+const GOLDEN_DIR = resolve(EXAMPLES_DIR, 'golden');
+const RUN_TIMEOUT = 60_000;
+
+const NORMALIZERS = [
+  // Date.now() values (dualModeFunction's `timestamp: Date.now()`)
+  [/\b1\d{12}\b/g, '<timestamp>'],
+  // Measured durations: retry jitter, time spent pending
+  [/\b\d+ms\b/g, '<n>ms'],
+  [/\((node|deno):\d+\)/g, '($1:<pid>)'],
+  // Line numbers inside Node's own modules move between releases
+  [/(node:internal\/[\w/.-]+):\d+:\d+/g, '$1'],
+  [/^Node\.js v\d+\.\d+\.\d+$/gm, 'Node.js <version>'],
+];
+
+/**
+ * The example scripts, in numeric order (6, 6b, 7, 7b, ..., 10).
+ *
+ * @returns {Array<{ name: string, file: string, headline: string }>}
+ */
+export function listExamples() {
+  return readdirSync(EXAMPLES_DIR)
+    .filter((file) => file.endsWith('.js'))
+    .map((file) => {
+      const source = readFileSync(resolve(EXAMPLES_DIR, file), 'utf8');
+      const headline = source.split('\n')[0].replace(/^\/\/\s*/, '');
+      return { name: basename(file, '.js'), file: `examples/${file}`, headline };
+    })
+    .sort((a, b) => parseInt(a.name, 10) - parseInt(b.name, 10) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Find an example by number ("7b"), name ("7b-foreach-fails-silently") or
+ * path ("examples/7b-foreach-fails-silently.js").
+ *
+ * @param {string} query
+ * @returns {{ name: string, file: string, headline: string } | undefined}
+ */
+export function findExample(query) {
+  const name = basename(query, '.js');
+  return listExamples().find((example) => example.name === name || example.name.split('-')[0] === name);
+}
+
+/**
+ * Make captured output comparable across runs and machines.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeOutput(text) {
+  let normalized = text
+    .replaceAll(pathToFileURL(ROOT).href, '<repo>')
+    .replaceAll(ROOT, '<repo>')
+    .replaceAll('\r\n', '\n');
+  for (const [pattern, replacement] of NORMALIZERS) normalized = normalized.replace(pattern, replacement);
+  return normalized;
+}
+
+/**
+ * Run an example with its output captured and normalized, in the format of
+ * the golden files.
+ *
+ * @param {{ name: string, file: string }} example
+ * @returns {string}
+ */
+export function captureExample(example) {
+  const child = spawnSync(process.execPath, [example.file], {
+    cwd: ROOT,
+    encoding: 'utf8',
+    timeout: RUN_TIMEOUT,
+    env: { ...process.env, NO_COLOR: '1', FORCE_COLOR: '0', NODE_OPTIONS: '' },
+  });
+  if (child.error) throw child.error;
+
+  const exit = child.signal ? `signal ${child.signal}` : `exit code ${child.status}`;
+  return `${exit}\n--- stdout ---\n${normalizeOutput(child.stdout)}--- stderr ---\n${normalizeOutput(child.stderr)}`;
+}
+
+/**
+ * Compare an example's output with its golden file, or record it.
+ *
+ * @param {{ name: string, file: string }} example
+ * @param {{ update?: boolean }} [options]
+ * @returns {{ name: string, status: 'passed' | 'failed' | 'missing' | 'updated', diff?: string }}
+ */
+export function verifyExample(example, { update = false } = {}) {
+  const golden = resolve(GOLDEN_DIR, `${example.name}.txt`);
+  const actual = captureExample(example);
+
+  if (update) {
+    mkdirSync(GOLDEN_DIR, { recursive: true });
+    writeFileSync(golden, actual);
+    return { name: example.name, status: 'updated' };
+  }
+  if (!existsSync(golden)) return { name: example.name, status: 'missing' };
+
+  const expected = readFileSync(golden, 'utf8');
+  if (expected === actual) return { name: example.name, status: 'passed' };
+  return { name: example.name, status: 'failed', diff: diffLines(expected, actual) };
+}
+
+// The first differing lines, with a few lines of context
+function diffLines(expected, actual, context = 2, limit = 8) {
+  const a = expected.split('\n');
+  const b = actual.split('\n');
+  let first = 0;
+  while (first < a.length && a[first] === b[first]) first += 1;
+
+  let lastA = a.length - 1;
+  let lastB = b.length - 1;
+  while (lastA > first && lastB > first && a[lastA] === b[lastB]) {
+    lastA -= 1;
+    lastB -= 1;
+  }
+
+  const lines = a.slice(Math.max(0, first - context), first).map((line) => `  ${line}`);
+  lines.push(...a.slice(first, Math.min(lastA + 1, first + limit)).map((line) => `- ${line}`));
+  lines.push(...b.slice(first, Math.min(lastB + 1, first + limit)).map((line) => `+ ${line}`));
+  return `@@ line ${first + 1} @@\n${lines.join('\n')}`;
+}
+
+function selectExamples(queries) {
+  if (queries.length === 0) return listExamples();
+  return queries.map((query) => {
+    const example = findExample(query);
+    if (!example) throw new Error(`No example matches "${query}"; see: node tools/async-mix.js list`);
+    return example;
+  });
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      update: { type: 'boolean', default: false },
+    },
+  });
+  const [command, ...queries] = positionals;
+
+  if (command === 'list') {
+    const examples = listExamples();
+    const width = Math.max(...examples.map((example) => example.name.length));
+    for (const example of examples) process.stdout.write(`${example.name.padEnd(width)}  ${example.headline}\n`);
+    return 0;
+  }
+
+  if (command === 'run' && queries.length === 1) {
+    const example = findExample(queries[0]);
+    if (!example) {
+      process.stderr.write(`No example matches "${queries[0]}"; see: node tools/async-mix.js list\n`);
+      return 2;
+    }
+    process.stderr.write(`$ node ${example.file}\n`);
+    const child = spawnSync(process.execPath, [example.file], { cwd: ROOT, stdio: 'inherit' });
+    return child.status ?? 1;
+  }
+
+  if (command === 'verify') {
+    let examples;
+    try {
+      examples = selectExamples(queries);
+    } catch (err) {
+      process.stderr.write(`${err.message}\n`);
+      return 2;
+    }
+
+    let failures = 0;
+    for (const example of examples) {
+      const result = verifyExample(example, { update: values.update });
+      process.stdout.write(`${result.status.padEnd(7)}  ${example.file}\n`);
+      if (result.status === 'missing') {
+        process.stdout.write('         no golden file; record it with --update\n');
+        failures += 1;
+      }
+      if (result.status === 'failed') {
+        process.stdout.write(`${result.diff.replace(/^/gm, '         ')}\n`);
+        failures += 1;
+      }
+    }
+
+    if (failures > 0) {
+      process.stdout.write(`\n${failures} of ${examples.length} examples differ from examples/golden/\n`);
+      return 1;
+    }
+    return 0;
+  }
+
+  process.stderr.write([
+    'Usage: node tools/async-mix.js <command>',
+    '  list                              List the examples',
+    '  run <example>                     Run one example (7b, 7b-foreach-fails-silently or its path)',
+    '  verify [examples...] [--update]   Compare output with examples/golden/, or re-record it',
+    '',
+  ].join('\n'));
+  return 2;
+}
+
+// Installed as the `async-mix` command, this file runs through the symlink
+// npm puts in node_modules/.bin
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,296 @@
+// ⚡ Reproducible benchmark harness
+// Replaces the single console.time() runs in examples/6 and 6b, which had no
+// warm-up control and no statistics. Every variant of a suite runs in fresh
+// child processes (interleaved, so drift hits all variants alike); each child
+// discards `warmup` batches, then times `samples` batches of `iterations` calls.
+// The pooled samples are reported as ns/op with 95% confidence intervals.
+//
+// Run with:
+//   node tools/benchmark.js benchmarks/dual-mode.bench.js --out results.json
+//   node tools/benchmark.js benchmarks/dual-mode.bench.js --compare results.json
+//
+// A suite module exports `variants: Array<{ name, async?, run(i) }>`; `run`
+// is called once per iteration (and awaited when `async` is true).
+// --compare flags a variant as a regression when its median is more than
+// `--threshold` slower AND the confidence intervals of the medians don't
+// overlap. The median, not the mean: one GC pause or background compile
+// during a batch moves the mean but not the median.
+
+import { spawnSync } from 'node:child_process';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+const DEFAULTS = { processes: 5, samples: 20, iterations: 100_000, warmup: 5, threshold: 0.05 };
+
+// Two-sided 95% Student's t critical values for 1–30 degrees of freedom
+const T95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+/**
+ * Summarize timing samples.
+ *
+ * The mean's interval uses Student's t; the percentiles' intervals are
+ * distribution-free (order statistics), since timings are rarely normal.
+ *
+ * @param {number[]} samples - ns/op, one per timed batch.
+ * @returns {{ n: number, mean: number, stddev: number, p50: number, p99: number,
+ *   ci: { mean: [number, number], p50: [number, number], p99: [number, number] } }}
+ */
+export function summarize(samples) {
+  if (samples.length === 0) {
+    throw new RangeError('summarize() needs at least one sample');
+  }
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  const n = sorted.length;
+  const mean = sorted.reduce((sum, x) => sum + x, 0) / n;
+  const stddev = n > 1
+    ? Math.sqrt(sorted.reduce((sum, x) => sum + (x - mean) ** 2, 0) / (n - 1))
+    : 0;
+  const margin = n > 1 ? (T95[n - 2] ?? 1.96) * (stddev / Math.sqrt(n)) : 0;
+
+  return {
+    n,
+    mean,
+    stddev,
+    p50: percentile(sorted, 0.5),
+    p99: percentile(sorted, 0.99),
+    ci: {
+      mean: [mean - margin, mean + margin],
+      p50: percentileInterval(sorted, 0.5),
+      p99: percentileInterval(sorted, 0.99),
+    },
+  };
+}
+
+/**
+ * Compare two result files produced by `--out`, variant by variant, on the
+ * median (`baseline` and `current` in the returned rows are p50 values).
+ *
+ * @param {{ results: Record<string, ReturnType<typeof summarize>> }} baseline
+ * @param {{ results: Record<string, ReturnType<typeof summarize>> }} current
+ * @param {{ threshold?: number }} [options] - Relative slowdown that counts (0.05 = 5%).
+ * @returns {Array<{ name: string, status: 'regression' | 'improvement' | 'unchanged' | 'new' | 'missing',
+ *   baseline?: number, current?: number, change?: number }>}
+ */
+export function compareResults(baseline, current, { threshold = DEFAULTS.threshold } = {}) {
+  const names = new Set([...Object.keys(baseline.results), ...Object.keys(current.results)]);
+
+  return [...names].map((name) => {
+    const before = baseline.results[name];
+    const after = current.results[name];
+    if (!before) return { name, status: 'new', current: after.p50 };
+    if (!after) return { name, status: 'missing', baseline: before.p50 };
+
+    const change = (after.p50 - before.p50) / before.p50;
+    let status = 'unchanged';
+    if (change > threshold && after.ci.p50[0] > before.ci.p50[1]) status = 'regression';
+    else if (change < -threshold && after.ci.p50[1] < before.ci.p50[0]) status = 'improvement';
+
+    return { name, status, baseline: before.p50, current: after.p50, change };
+  });
+}
+
+/**
+ * Run every variant of a suite in isolated child processes.
+ *
+ * @param {string} suite - Path to the suite module.
+ * @param {object} [options]
+ * @param {number} [options.processes=5] - Child processes per variant.
+ * @param {number} [options.samples=20] - Timed batches per process.
+ * @param {number} [options.iterations=100000] - Calls per batch.
+ * @param {number} [options.warmup=5] - Untimed batches per process.
+ * @param {string} [options.filter] - Only run variants whose name contains this.
+ * @param {(message: string) => void} [options.onProgress]
+ * @returns {Promise<object>} The JSON document written by `--out`.
+ */
+export async function runSuite(suite, {
+  processes = DEFAULTS.processes,
+  samples = DEFAULTS.samples,
+  iterations = DEFAULTS.iterations,
+  warmup = DEFAULTS.warmup,
+  filter,
+  onProgress = () => {},
+} = {}) {
+  const suitePath = resolve(suite);
+  const { variants } = await import(pathToFileURL(suitePath).href);
+  const names = variants.map(({ name }) => name).filter((name) => !filter || name.includes(filter));
+  if (names.length === 0) {
+    throw new Error(`No variants in ${suite}${filter ? ` match "${filter}"` : ''}`);
+  }
+
+  const collected = new Map(names.map((name) => [name, []]));
+  const config = { samples, iterations, warmup };
+
+  for (let round = 1; round <= processes; round++) {
+    for (const name of names) {
+      onProgress(`[${round}/${processes}] ${name}`);
+      const child = spawnSync(
+        process.execPath,
+        [fileURLToPath(import.meta.url), '--child', JSON.stringify({ suitePath, name, ...config })],
+        { encoding: 'utf8' }
+      );
+      if (child.status !== 0) {
+        throw new Error(`Benchmark child for "${name}" failed:\n${child.stderr}`);
+      }
+      collected.get(name).push(...JSON.parse(child.stdout));
+    }
+  }
+
+  return {
+    node: process.version,
+    v8: process.versions.v8,
+    platform: `${process.platform}-${process.arch}`,
+    date: new Date().toISOString(),
+    suite,
+    unit: 'ns/op',
+    config: { processes, ...config },
+    results: Object.fromEntries([...collected].map(([name, values]) => [name, summarize(values)])),
+  };
+}
+
+// Runs inside the child process: one variant, stdout gets the samples as JSON
+async function runChild({ suitePath, name, samples, iterations, warmup }) {
+  const { variants } = await import(pathToFileURL(suitePath).href);
+  const { run, async: isAsync } = variants.find((variant) => variant.name === name);
+  let sink;
+
+  const batch = isAsync
+    ? async () => { for (let i = 0; i < iterations; i++) sink = await run(i); }
+    : () => { for (let i = 0; i < iterations; i++) sink = run(i); };
+
+  for (let i = 0; i < warmup; i++) await batch();
+
+  const results = [];
+  for (let i = 0; i < samples; i++) {
+    const start = process.hrtime.bigint();
+    await batch();
+    results.push(Number(process.hrtime.bigint() - start) / iterations);
+  }
+
+  process.stdout.write(JSON.stringify(results));
+  return sink;
+}
+
+function percentile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Ranks n·q ± 1.96·√(n·q·(1−q)) (normal approximation to the binomial),
+// clamped to the sample range
+function percentileInterval(sorted, q) {
+  const n = sorted.length;
+  const spread = 1.96 * Math.sqrt(n * q * (1 - q));
+  const low = Math.max(0, Math.floor(n * q - spread) - 1);
+  const high = Math.min(n - 1, Math.ceil(n * q + spread) - 1);
+  return [sorted[low], sorted[high]];
+}
+
+function formatTable(doc) {
+  const rows = Object.entries(doc.results).map(([name, r]) => [
+    name,
+    fmt(r.mean),
+    `±${fmt((r.ci.mean[1] - r.ci.mean[0]) / 2)}`,
+    `${fmt(r.p50)} [${fmt(r.ci.p50[0])}, ${fmt(r.ci.p50[1])}]`,
+    `${fmt(r.p99)} [${fmt(r.ci.p99[0])}, ${fmt(r.ci.p99[1])}]`,
+    String(r.n),
+  ]);
+  return table(['variant', 'mean', '95% CI', 'p50 [95% CI]', 'p99 [95% CI]', 'n'], rows)
+    + `\n(${doc.unit}, ${doc.node} ${doc.platform})\n`;
+}
+
+function formatComparison(rows, threshold) {
+  const icons = { regression: '❌ regression', improvement: '✅ improvement', unchanged: 'unchanged', new: 'new', missing: 'missing' };
+  const body = rows.map(({ name, status, baseline, current, change }) => [
+    name,
+    baseline === undefined ? '-' : fmt(baseline),
+    current === undefined ? '-' : fmt(current),
+    change === undefined ? '-' : `${change > 0 ? '+' : ''}${(change * 100).toFixed(1)}%`,
+    icons[status],
+  ]);
+  return table(['variant', 'baseline p50', 'current p50', 'change', `status (threshold ${threshold * 100}%)`], body);
+}
+
+function table(header, rows) {
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(header), line(widths.map((w) => '-'.repeat(w))), ...rows.map(line)].join('\n') + '\n';
+}
+
+function fmt(ns) {
+  return ns.toFixed(ns < 10 ? 2 : 1);
+}
+
+async function main(argv) {
+  if (argv[0] === '--child') {
+    await runChild(JSON.parse(argv[1]));
+    return 0;
+  }
+
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      processes: { type: 'string' },
+      samples: { type: 'string' },
+      iterations: { type: 'string' },
+      warmup: { type: 'string' },
+      filter: { type: 'string' },
+      out: { type: 'string' },
+      compare: { type: 'string' },
+      threshold: { type: 'string' },
+    },
+  });
+
+  const count = (name) => {
+    if (values[name] === undefined) return DEFAULTS[name];
+    const value = Number(values[name]);
+    if (!Number.isInteger(value) || value < (name === 'warmup' ? 0 : 1)) {
+      throw new RangeError(`--${name} must be a positive integer, got ${values[name]}`);
+    }
+    return value;
+  };
+  const threshold = values.threshold === undefined ? DEFAULTS.threshold : Number(values.threshold);
+
+  const doc = await runSuite(positionals[0] ?? 'benchmarks/dual-mode.bench.js', {
+    processes: count('processes'),
+    samples: count('samples'),
+    iterations: count('iterations'),
+    warmup: count('warmup'),
+    filter: values.filter,
+    onProgress: (message) => process.stderr.write(`${message}\n`),
+  });
+
+  process.stdout.write(`\n${formatTable(doc)}`);
+
+  if (values.out) {
+    writeFileSync(values.out, `${JSON.stringify(doc, null, 2)}\n`);
+    process.stdout.write(`\nResults written to ${values.out}\n`);
+  }
+
+  if (values.compare) {
+    const baseline = JSON.parse(readFileSync(values.compare, 'utf8'));
+    const rows = compareResults(baseline, doc, { threshold });
+    process.stdout.write(`\nCompared with ${values.compare} (${baseline.node}):\n${formatComparison(rows, threshold)}`);
+
+    const regressions = rows.filter(({ status }) => status === 'regression');
+    if (regressions.length > 0) {
+      process.stdout.write(`\n❌ ${regressions.length} regression(s)\n`);
+      return 1;
+    }
+  }
+
+  return 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  process.exitCode = await main(process.argv.slice(2));
+}
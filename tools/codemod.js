@@ -0,0 +1,127 @@
+// 🔧 Codemod runner
+// Applies one of the jscodeshift transforms in tools/codemods/ to files, and
+// prints what each transform refused to rewrite, so the remaining call sites
+// can be migrated by hand:
+//
+//   examples/4-dual-mode.js:49: made an arrow function async; its callers now get a promise
+//   examples/13-event-emitters.js:110: skipped request(): its return value is used
+//
+// Run with:
+//   node tools/codemod.js callback-to-await examples/4-dual-mode.js --dry --print
+//   node tools/codemod.js callback-to-await src/ --dual-mode db.query,readConfig
+//   node tools/codemod.js foreach-async src/ --parallel
+//
+// Files are rewritten in place unless --dry is given; --print writes the new
+// source to stdout. Directories are searched for .js, .mjs and .cjs files
+// (node_modules excluded).
+
+import { readFileSync, readdirSync, statSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import jscodeshift from 'jscodeshift';
+
+const CODEMODS_DIR = new URL('codemods/', import.meta.url);
+const SOURCE_FILE = /\.[cm]?js$/;
+
+/**
+ * Names of the available transforms (the files in tools/codemods/).
+ *
+ * @returns {string[]}
+ */
+export function listCodemods() {
+  return readdirSync(CODEMODS_DIR)
+    .filter((file) => SOURCE_FILE.test(file) && !file.endsWith('.test.js'))
+    .map((file) => file.replace(SOURCE_FILE, ''))
+    .sort();
+}
+
+/**
+ * Run a transform on source code, without touching the filesystem.
+ *
+ * @param {string} name - A transform from listCodemods().
+ * @param {string} source
+ * @param {{ path?: string, options?: object }} [settings] - `path` is only used in reports.
+ * @returns {Promise<{ output: string, changed: boolean, reports: string[] }>}
+ */
+export async function applyCodemod(name, source, { path = '<source>', options = {} } = {}) {
+  if (!listCodemods().includes(name)) {
+    throw new Error(`Unknown codemod "${name}"; available: ${listCodemods().join(', ')}`);
+  }
+
+  const { default: transform, parser } = await import(new URL(`${name}.js`, CODEMODS_DIR));
+  const reports = [];
+  const api = {
+    jscodeshift: jscodeshift.withParser(parser ?? 'babel'),
+    j: jscodeshift.withParser(parser ?? 'babel'),
+    stats: () => {},
+    report: (message) => reports.push(message),
+  };
+
+  const result = transform({ path, source }, api, options);
+  const output = typeof result === 'string' ? result : source;
+  return { output, changed: output !== source, reports };
+}
+
+function collectFiles(paths) {
+  return paths.flatMap((path) => {
+    if (!statSync(path).isDirectory()) return [path];
+    return readdirSync(path, { recursive: true })
+      .filter((file) => SOURCE_FILE.test(file) && !file.split(/[\\/]/).includes('node_modules'))
+      .sort()
+      .map((file) => join(path, file));
+  });
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'dual-mode': { type: 'string' },
+      parallel: { type: 'boolean', default: false },
+      dry: { type: 'boolean', default: false },
+      print: { type: 'boolean', default: false },
+    },
+  });
+
+  const [name, ...paths] = positionals;
+  if (!name || paths.length === 0) {
+    process.stderr.write('Usage: node tools/codemod.js <codemod> <files or directories...> [--dual-mode name,...] [--parallel] [--dry] [--print]\n');
+    process.stderr.write(`Codemods: ${listCodemods().join(', ')}\n`);
+    return 2;
+  }
+  if (!listCodemods().includes(name)) {
+    process.stderr.write(`Unknown codemod "${name}"; available: ${listCodemods().join(', ')}\n`);
+    return 2;
+  }
+
+  const options = { dualMode: values['dual-mode'], parallel: values.parallel };
+  let changedCount = 0;
+  let failed = false;
+
+  for (const file of collectFiles(paths)) {
+    let result;
+    try {
+      result = await applyCodemod(name, readFileSync(file, 'utf8'), { path: file, options });
+    } catch (err) {
+      process.stderr.write(`${file}: ${err.message}\n`);
+      failed = true;
+      continue;
+    }
+
+    for (const report of result.reports) process.stderr.write(`${report}\n`);
+    if (values.print) process.stdout.write(result.output);
+    if (!result.changed) continue;
+
+    changedCount += 1;
+    if (!values.dry) writeFileSync(file, result.output);
+  }
+
+  process.stderr.write(`${changedCount} file(s) ${values.dry ? 'would change' : 'changed'}\n`);
+  return failed ? 1 : 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  process.exitCode = await main(process.argv.slice(2));
+}
@@ -0,0 +1,348 @@
+// 🔧 Codemod: error-first callback call sites → try/await
+// Rewrites, for functions known to be dual-mode (examples/4-dual-mode.js):
+//
+//   dualModeFunction('hello', 'world', (err, result) => {
+//     if (err) {
+//       console.error('Error:', err.message);
+//       return;
+//     }
+//     console.log('Result:', result);
+//   });
+//
+// into
+//
+//   let result;
+//   try {
+//     result = await dualModeFunction('hello', 'world');
+//   } catch (err) {
+//     console.error('Error:', err.message);
+//     return;
+//   }
+//   console.log('Result:', result);
+//
+// and marks the enclosing function `async`. A function is known to be
+// dual-mode when it is listed in the `dualMode` option, declared in the file
+// with the `typeof callback === 'function'` branch, created with dualMode() /
+// withTimeout() / retry() / fromEmitterApi(), or imported from this package's
+// dual-mode helpers (mapConcurrent, runBatch, ...).
+//
+// The try block holds only the awaited call, so an exception from the
+// success path never runs the old error branch. The catch block ends the
+// function instead of an `else`, which is why the call must be the last
+// statement of its function unless the success path is empty.
+//
+// Call sites whose meaning would change are left alone and reported:
+//   - the callback has several exits (returns besides the one ending the
+//     error branch) or uses `this` / `arguments`
+//   - it doesn't start by checking `err`, or code runs after the check for both outcomes
+//   - the success path uses `err`, or statements follow the call in its function
+//   - the enclosing function takes a callback of its own, is a forEach/map/...
+//     callback, a Promise executor, a generator, or the top level of a
+//     CommonJS script
+//   - the call's return value is used
+//
+// Awaiting makes call sites that used to run concurrently run one after the
+// other; review the diff where that matters.
+//
+// Run with: node tools/codemod.js callback-to-await <files...> [--dual-mode name,...]
+
+import {
+  CALLBACK_NAME, ERROR_PARAM_NAME, detectQuote, isFunction as isFunctionExpression, isModule, lastCallbackParam, usesOwn,
+} from '../../eslint-plugin/utils.js';
+
+export const parser = 'babel';
+
+// Array methods whose callback must not become async (examples/7*)
+const ITERATION_METHODS = new Set([
+  'forEach', 'map', 'filter', 'some', 'every', 'find', 'findIndex', 'findLast', 'findLastIndex',
+  'reduce', 'reduceRight', 'flatMap',
+]);
+
+// .catch(err => ...) takes an error first too, but is already promise code
+const PROMISE_METHODS = new Set(['then', 'catch', 'finally']);
+
+// Helpers in lib/ that return a dual-mode function, and those that are one
+const DUAL_MODE_FACTORIES = new Set(['dualMode', 'withTimeout', 'retry', 'fromEmitterApi']);
+const DUAL_MODE_EXPORTS = new Set(['eachSeries', 'mapConcurrent', 'mapSettled', 'filterAsync', 'runBatch', 'waitForEvent']);
+const PACKAGE_SOURCE = /^async-mix-and-match(\/|$)|(^|\/)lib\/[\w-]+\.js$/;
+
+// Babel gives methods their own node types, without a FunctionExpression
+// inside; the estree shape wraps a FunctionExpression in one of the others
+const METHOD_TYPES = new Set(['ClassMethod', 'ClassPrivateMethod', 'ObjectMethod']);
+const METHOD_WRAPPER_TYPES = new Set(['MethodDefinition', 'Property']);
+
+/**
+ * jscodeshift transform.
+ *
+ * @param {{ path: string, source: string }} file
+ * @param {{ jscodeshift: Function, report: (message: string) => void }} api
+ * @param {{ dualMode?: string | string[] }} [options] - Extra dual-mode function
+ *   names (`name` or `object.method`), comma-separated or as an array.
+ * @returns {string | undefined} The new source, or undefined when nothing changed.
+ */
+export default function callbackToAwait(file, api, options = {}) {
+  const j = api.jscodeshift;
+  const root = j(file.source);
+  const known = knownDualMode(j, root, options.dualMode);
+  const handled = new WeakSet();
+  let changed = false;
+
+  const report = (node, message) => api.report(`${file.path}:${node.loc?.start.line ?? '?'}: ${message}`);
+
+  // Paths go stale once a statement moves into a try block, so look for the
+  // next candidate from the root after every rewrite (outermost first)
+  for (;;) {
+    const callPath = root
+      .find(j.CallExpression, (node) => !handled.has(node) && callbackOf(node))
+      .paths()[0];
+    if (!callPath) break;
+    handled.add(callPath.node);
+
+    const { node: original } = callPath;
+    const name = calleeName(original.callee);
+    if (!name || !known.has(name)) {
+      report(original, `skipped ${name ?? 'call'}(): not known to be dual-mode (wrap it with dualMode()/promisify() or pass --dual-mode ${name ?? '<name>'})`);
+      continue;
+    }
+
+    const path = callPath.parent;
+    if (path.node.type !== 'ExpressionStatement') {
+      report(original, `skipped ${name}(): its return value is used`);
+      continue;
+    }
+
+    const plan = planRewrite(j, original, path, root);
+    if (typeof plan === 'string') {
+      report(original, `skipped ${name}(): ${plan}`);
+      continue;
+    }
+
+    const { result, successBody, errorParam, errorBody, enclosing, method } = plan;
+    const call = j.callExpression(original.callee, original.arguments.slice(0, -1));
+    const keepsResult = result && containsIdentifier(j, successBody, result);
+
+    if (successBody.length === 0) {
+      path.replace(tryAwait(j, j.expressionStatement(j.awaitExpression(call)), errorParam, errorBody));
+    } else {
+      // The error branch used to end the callback; now it ends the function
+      const exits = errorBody.at(-1)?.type === 'ThrowStatement' ? errorBody : [...errorBody, j.returnStatement(null)];
+      const awaited = keepsResult
+        ? j.expressionStatement(j.assignmentExpression('=', j.identifier(result.name), j.awaitExpression(call)))
+        : j.expressionStatement(j.awaitExpression(call));
+      path.replace(
+        ...(keepsResult ? [j.variableDeclaration('let', [j.variableDeclarator(j.identifier(result.name))])] : []),
+        tryAwait(j, awaited, errorParam, exits),
+        ...successBody
+      );
+    }
+
+    if (enclosing && !enclosing.async) {
+      enclosing.async = true;
+      report(method ?? enclosing, `made ${functionName(method ?? enclosing)} async; its callers now get a promise`);
+    }
+    changed = true;
+  }
+
+  return changed ? root.toSource({ quote: detectQuote(file.source) }) : undefined;
+}
+
+function tryAwait(j, awaited, errorParam, errorBody) {
+  return j.tryStatement(
+    j.blockStatement([awaited]),
+    j.catchClause(errorParam, null, j.blockStatement(errorBody))
+  );
+}
+
+function isFunction(node) {
+  return isFunctionExpression(node) || METHOD_TYPES.has(node?.type);
+}
+
+// The error-first callback passed last, if any
+function callbackOf(call) {
+  const { callee } = call;
+  if (callee.type === 'MemberExpression' && PROMISE_METHODS.has(callee.property.name)) return undefined;
+  const callback = call.arguments.at(-1);
+  if (!isFunction(callback)) return undefined;
+  const [first] = callback.params;
+  return first?.type === 'Identifier' && ERROR_PARAM_NAME.test(first.name) ? callback : undefined;
+}
+
+// Work out the try and catch blocks, or return the reason to refuse
+function planRewrite(j, call, path, root) {
+  const callback = call.arguments.at(-1);
+  const [errorParam, result, ...extra] = callback.params;
+
+  if (extra.length > 0) return 'the callback takes several results';
+  if (callback.body.type !== 'BlockStatement') return 'the callback does not check err';
+  if (callback.async || callback.generator) return 'the callback is async or a generator';
+  if (usesOwn(callback.body, (node) => node.type === 'ThisExpression')) return 'the callback uses `this`';
+  if (usesOwn(callback.body, (node) => node.type === 'Identifier' && node.name === 'arguments')) {
+    return 'the callback uses `arguments`';
+  }
+
+  const [check, ...rest] = callback.body.body;
+  if (check?.type !== 'IfStatement' || !isErrorCheck(check.test, errorParam.name)) {
+    return 'the callback does not start by checking err';
+  }
+
+  let errorBody = statements(check.consequent);
+  let successBody;
+  if (check.alternate) {
+    if (rest.length > 0) return 'code after the if/else runs for both outcomes';
+    successBody = statements(check.alternate);
+  } else {
+    const last = errorBody.at(-1);
+    if (last?.type === 'ReturnStatement') {
+      errorBody = errorBody.slice(0, -1);
+      if (last.argument && last.argument.type !== 'Identifier') errorBody.push(j.expressionStatement(last.argument));
+    } else if (last?.type !== 'ThrowStatement' && rest.length > 0) {
+      return 'code after the err check runs for both outcomes';
+    }
+    successBody = rest;
+  }
+
+  const isReturn = (node) => node.type === 'ReturnStatement';
+  if (errorBody.some((node) => usesOwn(node, isReturn)) || successBody.some((node) => usesOwn(node, isReturn))) {
+    return 'the callback has multiple exits';
+  }
+  if (containsIdentifier(j, successBody, errorParam)) return `the success path uses ${errorParam.name}`;
+  if (result && containsIdentifier(j, errorBody, result)) return 'the error path uses the result';
+
+  const enclosing = enclosingFunctionPath(path);
+  const fn = enclosing?.node;
+  if (!fn) {
+    if (!isModule(root.get().node.program)) return 'top-level call in a CommonJS script; move it into an async function';
+    if (successBody.length > 0) return 'top-level call with a success path, which the catch block cannot skip; move it into a function';
+    return { result, successBody, errorParam, errorBody, enclosing: undefined };
+  }
+
+  if (successBody.length > 0) {
+    // The catch block returns early, which skips whatever follows the call
+    if (path.parent.node !== fn.body || fn.body.body.at(-1) !== path.node) {
+      return 'statements follow the call; the success path cannot move after the try block';
+    }
+    if (result && result.type !== 'Identifier') return 'the callback destructures its result';
+    if (result && containsIdentifier(j, successBody, result) && containsIdentifier(j, [fn.body], result, callback)) {
+      return `the function uses another ${result.name}; declaring it would shadow that one`;
+    }
+  }
+
+  if (fn.generator) return 'the enclosing function is a generator';
+  const ownCallback = lastCallbackParam(fn);
+  if (ownCallback) {
+    return `the enclosing function takes a callback (${ownCallback.name}); making it async would give it a promise too (examples/5-what-not-to-do.js)`;
+  }
+  const method = methodOf(enclosing);
+  if (method && ['get', 'set', 'constructor'].includes(method.kind)) {
+    return `the enclosing function is a ${method.kind === 'constructor' ? 'constructor' : `${method.kind}ter`}, which cannot be async`;
+  }
+  const parent = enclosing.parent?.node;
+  if (parent?.type === 'NewExpression' && parent.callee.name === 'Promise') {
+    return 'the enclosing function is a Promise executor; async executors lose their errors';
+  }
+  if (parent?.type === 'CallExpression' && parent.arguments.includes(fn)) {
+    const iteration = parent.callee.type === 'MemberExpression' ? parent.callee.property.name : undefined;
+    if (ITERATION_METHODS.has(iteration)) {
+      return `the enclosing function is a ${iteration}() callback; making it async would drop the promise (examples/7-foreach-async-problem.js)`;
+    }
+  }
+
+  return { result, successBody, errorParam, errorBody, enclosing: fn, method };
+}
+
+// err, err != null, err !== null, err !== undefined
+function isErrorCheck(test, name) {
+  if (test.type === 'Identifier') return test.name === name;
+  return test.type === 'BinaryExpression'
+    && (test.operator === '!=' || test.operator === '!==')
+    && test.left.type === 'Identifier' && test.left.name === name
+    && ((test.right.type === 'NullLiteral' || (test.right.type === 'Literal' && test.right.value === null))
+      || (test.right.type === 'Identifier' && test.right.name === 'undefined'));
+}
+
+function statements(node) {
+  return node.type === 'BlockStatement' ? [...node.body] : [node];
+}
+
+// Whether `identifier`'s name appears in `nodes`, outside of `except`
+function containsIdentifier(j, nodes, identifier, except) {
+  const outside = (path) => {
+    for (let current = path; current; current = current.parent) {
+      if (current.node === except) return false;
+    }
+    return true;
+  };
+  return nodes.some((node) => j(node).find(j.Identifier, { name: identifier.name }).filter(outside).size() > 0);
+}
+
+function enclosingFunctionPath(path) {
+  let current = path.parent;
+  while (current && !isFunction(current.node)) current = current.parent;
+  return current;
+}
+
+function calleeName(callee) {
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression' && !callee.computed && callee.property.type === 'Identifier') {
+    const object = calleeName(callee.object) ?? (callee.object.type === 'ThisExpression' ? 'this' : undefined);
+    return object && `${object}.${callee.property.name}`;
+  }
+  return undefined;
+}
+
+// The node holding a method's key, kind and location: the function itself
+// (ClassMethod, ObjectMethod) or its MethodDefinition / method Property
+function methodOf(path) {
+  const { node } = path;
+  if (METHOD_TYPES.has(node.type)) return node;
+  const parent = path.parent?.node;
+  const isMethod = parent?.type === 'MethodDefinition' || parent?.method || parent?.kind === 'get' || parent?.kind === 'set';
+  return METHOD_WRAPPER_TYPES.has(parent?.type) && parent.value === node && isMethod ? parent : undefined;
+}
+
+function functionName(fn) {
+  if (fn.id) return `${fn.id.name}()`;
+  if (fn.key) {
+    if (fn.computed) return 'a method with a computed name';
+    if (fn.key.type === 'PrivateName') return `#${fn.key.id.name}()`;
+    if (fn.key.type === 'PrivateIdentifier') return `#${fn.key.name}()`;
+    return `${fn.key.name ?? fn.key.value}()`;
+  }
+  return fn.type === 'ArrowFunctionExpression' ? 'an arrow function' : 'a function expression';
+}
+
+// Names in this file that are dual-mode, plus the ones passed in
+function knownDualMode(j, root, extra = []) {
+  const names = new Set((typeof extra === 'string' ? extra.split(',') : extra).map((name) => name.trim()).filter(Boolean));
+
+  // function f(..., callback) { if (typeof callback === 'function') ... }
+  const isDualModeFunction = (fn) => {
+    const last = fn.params.at(-1);
+    if (last?.type !== 'Identifier' || !CALLBACK_NAME.test(last.name)) return false;
+    return j(fn.body).find(j.UnaryExpression, { operator: 'typeof', argument: { name: last.name } }).size() > 0;
+  };
+
+  root.find(j.FunctionDeclaration).forEach(({ node }) => {
+    if (node.id && isDualModeFunction(node)) names.add(node.id.name);
+  });
+
+  root.find(j.VariableDeclarator).forEach(({ node }) => {
+    if (node.id.type !== 'Identifier' || !node.init) return;
+    const init = node.init;
+    if (isFunction(init) && isDualModeFunction(init)) names.add(node.id.name);
+    if (init.type === 'CallExpression' && init.callee.type === 'Identifier' && DUAL_MODE_FACTORIES.has(init.callee.name)) {
+      names.add(node.id.name);
+    }
+  });
+
+  root.find(j.ImportDeclaration).forEach(({ node }) => {
+    if (!PACKAGE_SOURCE.test(node.source.value)) return;
+    for (const specifier of node.specifiers ?? []) {
+      if (specifier.type === 'ImportSpecifier' && DUAL_MODE_EXPORTS.has(specifier.imported.name)) {
+        names.add(specifier.local.name);
+      }
+    }
+  });
+
+  return names;
+}
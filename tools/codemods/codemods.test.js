@@ -0,0 +1,594 @@
+// Tests for the codemods in tools/codemods/
+// Run with: node --test tools/codemods/codemods.test.js
+//
+// The examples/ files double as fixtures: each transform's output for an
+// example is kept in fixtures/<codemod>/<example>.output.js.
+
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyCodemod, listCodemods } from '../codemod.js';
+
+const example = (name) => ({
+  path: `examples/${name}.js`,
+  source: readFileSync(new URL(`../../examples/${name}.js`, import.meta.url), 'utf8'),
+});
+
+const fixture = (codemod, name) =>
+  readFileSync(new URL(`fixtures/${codemod}/${name}.output.js`, import.meta.url), 'utf8');
+
+// Trim the common indentation so expected code can be written inline
+const code = (strings) => {
+  const lines = strings.join('').replace(/^\n|\n\s*$/g, '').split('\n');
+  const indent = Math.min(...lines.filter((line) => line.trim()).map((line) => line.match(/^ */)[0].length));
+  return `${lines.map((line) => line.slice(indent)).join('\n')}\n`;
+};
+
+describe('codemod runner', () => {
+  it('lists the transforms in tools/codemods/', () => {
+    assert.ok(listCodemods().includes('callback-to-await'));
+    assert.ok(!listCodemods().includes('codemods.test'));
+  });
+
+  it('rejects an unknown codemod', async () => {
+    await assert.rejects(applyCodemod('no-such-codemod', ''), /Unknown codemod "no-such-codemod"/);
+  });
+});
+
+describe('callback-to-await', () => {
+  const run = (source, options) => applyCodemod('callback-to-await', source, { path: 'input.js', options });
+
+  describe('examples/ as fixtures', () => {
+    it('rewrites examples/4-dual-mode.js', async () => {
+      const { path, source } = example('4-dual-mode');
+      const { output, changed, reports } = await applyCodemod('callback-to-await', source, { path });
+
+      assert.equal(changed, true);
+      assert.equal(output, fixture('callback-to-await', '4-dual-mode'));
+      assert.deepEqual(reports, [
+        'examples/4-dual-mode.js:40: skipped dualModeFunction(): statements follow the call; the success path cannot move after the try block',
+        'examples/4-dual-mode.js:49: made an arrow function async; its callers now get a promise',
+      ]);
+    });
+
+    it('is idempotent on its own output', async () => {
+      const { changed } = await run(fixture('callback-to-await', '4-dual-mode'));
+      assert.equal(changed, false);
+    });
+
+    it('leaves callback-only functions alone (examples/2-callback-only.js)', async () => {
+      const { path, source } = example('2-callback-only');
+      const { changed, reports } = await applyCodemod('callback-to-await', source, { path });
+
+      assert.equal(changed, false);
+      assert.equal(reports.length, 2);
+      assert.match(reports[0], /^examples\/2-callback-only\.js:27: skipped callbackOnlyFunction\(\): not known to be dual-mode/);
+    });
+
+    it('reports the call sites it cannot rewrite', async () => {
+      const cases = [
+        ['11-batch-report', /:68: skipped runBatch\(\): the callback does not start by checking err$/],
+        ['13-event-emitters', /:110: skipped request\(\): its return value is used$/],
+      ];
+      for (const [name, expected] of cases) {
+        const { path, source } = example(name);
+        const { changed, reports } = await applyCodemod('callback-to-await', source, { path });
+        assert.equal(changed, false, name);
+        assert.equal(reports.length, 1, name);
+        assert.match(reports[0], expected);
+      }
+    });
+
+    it('does not touch files without error-first callbacks', async () => {
+      for (const name of ['3-promise-only', '7-foreach-async-problem', '12-async-iterators']) {
+        const { path, source } = example(name);
+        const { changed, reports } = await applyCodemod('callback-to-await', source, { path });
+        assert.equal(changed, false, name);
+        assert.deepEqual(reports, [], name);
+      }
+    });
+  });
+
+  describe('rewrites', () => {
+    it('turns an early-return error branch into the catch block', async () => {
+      const { output, reports } = await run(code`
+        const load = dualMode(fetchUser);
+        function show(id) {
+          load(id, (err, user) => {
+            if (err) {
+              log(err);
+              return;
+            }
+            render(user);
+          });
+        }
+      `);
+
+      assert.equal(output, code`
+        const load = dualMode(fetchUser);
+        async function show(id) {
+          let user;
+
+          try {
+            user = await load(id);
+          } catch (err) {
+            log(err);
+            return;
+          }
+
+          render(user);
+        }
+      `);
+      assert.deepEqual(reports, ['input.js:2: made show() async; its callers now get a promise']);
+    });
+
+    it('keeps the call of a `return next(err)` exit', async () => {
+      const { output } = await run(code`
+        async function handler(req, res, next) {
+          db.query(req.id, function (error, rows) {
+            if (error) return next(error);
+            res.json(rows);
+          });
+        }
+      `, { dualMode: 'db.query' });
+
+      assert.equal(output, code`
+        async function handler(req, res, next) {
+          let rows;
+
+          try {
+            rows = await db.query(req.id);
+          } catch (error) {
+            next(error);
+            return;
+          }
+
+          res.json(rows);
+        }
+      `);
+    });
+
+    it('recognizes dual-mode helpers imported from the package', async () => {
+      const { output } = await run(code`
+        import { waitForEvent } from 'async-mix-and-match';
+        export function start(server) {
+          waitForEvent(server, 'listening', (err) => {
+            if (err) console.error(err);
+            else console.log('ready');
+          });
+        }
+      `);
+
+      assert.equal(output, code`
+        import { waitForEvent } from 'async-mix-and-match';
+        export async function start(server) {
+          try {
+            await waitForEvent(server, 'listening');
+          } catch (err) {
+            console.error(err);
+            return;
+          }
+
+          console.log('ready');
+        }
+      `);
+    });
+
+    it('awaits a top-level call in a module when the success path is empty', async () => {
+      const { output } = await run(code`
+        import { waitForEvent } from 'async-mix-and-match';
+        waitForEvent(server, 'listening', (err) => {
+          if (err) console.error(err);
+        });
+      `);
+
+      assert.equal(output, code`
+        import { waitForEvent } from 'async-mix-and-match';
+
+        try {
+          await waitForEvent(server, 'listening');
+        } catch (err) {
+          console.error(err);
+        }
+      `);
+    });
+
+    it('recognizes functions with the dual-mode branch', async () => {
+      const source = code`
+        function save(record, callback) {
+          const work = store(record);
+          if (typeof callback === 'function') {
+            work.then((id) => callback(null, id), callback);
+            return;
+          }
+          return work;
+        }
+        async function main() {
+          save(record, (err, id) => {
+            if (err) throw err;
+            console.log(id);
+          });
+        }
+      `;
+      const { output, reports } = await run(source);
+
+      assert.match(output, /try \{\n {4}id = await save\(record\);\n {2}\} catch \(err\) \{\n {4}throw err;\n {2}\}\n\n {2}console\.log\(id\);/);
+      assert.deepEqual(reports, []);
+    });
+
+    it('keeps exceptions from the success path out of the catch block', async () => {
+      const { output } = await run(code`
+        async function f() {
+          fetchData((err, data) => {
+            if (err) return;
+            if (!data.ok) throw new Error('Bad data');
+          });
+        }
+      `, { dualMode: 'fetchData' });
+
+      assert.equal(output, code`
+        async function f() {
+          let data;
+
+          try {
+            data = await fetchData();
+          } catch (err) {
+            return;
+          }
+
+          if (!data.ok) throw new Error('Bad data');
+        }
+      `);
+    });
+
+    it('makes a class method async and names it in the report', async () => {
+      const { output, reports } = await run(code`
+        import { mapConcurrent } from 'async-mix-and-match';
+        class Users {
+          save(users) {
+            mapConcurrent(users, 2, saveUser, (err, results) => {
+              if (err) return log(err);
+              show(results);
+            });
+          }
+        }
+      `);
+
+      assert.match(output, /^ {2}async save\(users\) \{\n {4}let results;\n/m);
+      assert.deepEqual(reports, ['input.js:3: made save() async; its callers now get a promise']);
+    });
+
+    it('makes an object method async and names it in the report', async () => {
+      const { output, reports } = await run(code`
+        const store = {
+          load(id) {
+            fetchData(id, (err, data) => {
+              if (err) throw err;
+              show(data);
+            });
+          },
+        };
+      `, { dualMode: 'fetchData' });
+
+      assert.match(output, /^ {2}async load\(id\) \{\n {4}let data;\n/m);
+      assert.deepEqual(reports, ['input.js:2: made load() async; its callers now get a promise']);
+    });
+  });
+
+  describe('refusals', () => {
+    const refusal = async (source, expected) => {
+      const { changed, reports } = await run(source, { dualMode: 'fetchData' });
+      assert.equal(changed, false);
+      assert.equal(reports.length, 1);
+      assert.match(reports[0], expected);
+    };
+
+    it('refuses a callback with multiple exits', () => refusal(code`
+      async function f() {
+        fetchData((err, data) => {
+          if (err) return;
+          if (!data) return;
+          use(data);
+        });
+      }
+    `, /^input\.js:2: skipped fetchData\(\): the callback has multiple exits$/));
+
+    it('refuses a callback that uses this', () => refusal(code`
+      async function f() {
+        fetchData(function (err, data) {
+          if (err) return;
+          this.data = data;
+        });
+      }
+    `, /the callback uses `this`$/));
+
+    it('refuses a callback that uses arguments', () => refusal(code`
+      async function f() {
+        fetchData(function (err) {
+          if (err) return;
+          log(arguments);
+        });
+      }
+    `, /the callback uses `arguments`$/));
+
+    it('refuses code that runs for both outcomes', () => refusal(code`
+      async function f() {
+        fetchData((err, data) => {
+          if (err) log(err);
+          done();
+        });
+      }
+    `, /code after the err check runs for both outcomes$/));
+
+    it('refuses a success path followed by more statements', () => refusal(code`
+      async function f() {
+        fetchData((err, data) => {
+          if (err) log(err);
+          else use(data);
+        });
+        done();
+      }
+    `, /statements follow the call; the success path cannot move after the try block$/));
+
+    it('refuses a result name the function already uses', () => refusal(code`
+      async function f(data) {
+        log(data);
+        fetchData((err, data) => {
+          if (err) return;
+          use(data);
+        });
+      }
+    `, /the function uses another data; declaring it would shadow that one$/));
+
+    it('refuses inside a getter', () => refusal(code`
+      class Cache {
+        get value() {
+          fetchData((err, data) => {
+            if (err) return;
+            use(data);
+          });
+        }
+      }
+    `, /the enclosing function is a getter, which cannot be async$/));
+
+    it('refuses a success path that reads err', () => refusal(code`
+      async function f() {
+        fetchData((err, data) => {
+          if (err) return;
+          log(err, data);
+        });
+      }
+    `, /the success path uses err$/));
+
+    it('refuses inside a forEach callback (examples/7-foreach-async-problem.js)', () => refusal(code`
+      function f(ids) {
+        ids.forEach((id) => {
+          fetchData(id, (err, data) => {
+            if (err) return;
+            use(data);
+          });
+        });
+      }
+    `, /the enclosing function is a forEach\(\) callback/));
+
+    it('refuses inside a function that takes its own callback (examples/5-what-not-to-do.js)', () => refusal(code`
+      function g(id, done) {
+        fetchData(id, (err, v) => {
+          if (err) return done(err);
+          done(null, v);
+        });
+      }
+    `, /the enclosing function takes a callback \(done\)/));
+
+    it('refuses inside a Promise executor', () => refusal(code`
+      const p = new Promise((resolve) => {
+        fetchData((err, data) => {
+          if (err) return;
+          resolve(data);
+        });
+      });
+    `, /the enclosing function is a Promise executor/));
+
+    it('refuses a top-level call in a CommonJS script', () => refusal(code`
+      const fetchData = require('./fetch');
+      fetchData((err, data) => {
+        if (err) return;
+        use(data);
+      });
+    `, /top-level call in a CommonJS script/));
+
+    it('refuses functions that are not known to be dual-mode', async () => {
+      const { changed, reports } = await run(code`
+        async function f() {
+          fs.readFile(path, (err, data) => {
+            if (err) return;
+            use(data);
+          });
+        }
+      `);
+      assert.equal(changed, false);
+      assert.deepEqual(reports, [
+        'input.js:2: skipped fs.readFile(): not known to be dual-mode (wrap it with dualMode()/promisify() or pass --dual-mode fs.readFile)',
+      ]);
+    });
+  });
+});
+
+describe('foreach-async', () => {
+  const run = (source, options) => applyCodemod('foreach-async', source, { path: 'input.js', options });
+
+  describe('examples/ as fixtures', () => {
+    it('rewrites examples/7-foreach-async-problem.js to for...of', async () => {
+      const { path, source } = example('7-foreach-async-problem');
+      const { output, reports } = await applyCodemod('foreach-async', source, { path });
+
+      assert.equal(output, fixture('foreach-async', '7-foreach-async-problem'));
+      assert.deepEqual(reports, []);
+    });
+
+    it('moves the forEach of examples/7b-foreach-fails-silently.js inside its try/catch', async () => {
+      const { path, source } = example('7b-foreach-fails-silently');
+      const { output } = await applyCodemod('foreach-async', source, { path });
+
+      assert.equal(output, fixture('foreach-async', '7b-foreach-fails-silently'));
+      assert.match(output, /try \{\n {4}for \(const user of users\) \{/);
+    });
+
+    it('rewrites examples/7c-foreach-exits-early.js to Promise.all with --parallel', async () => {
+      const { path, source } = example('7c-foreach-exits-early');
+      const { output } = await applyCodemod('foreach-async', source, { path, options: { parallel: true } });
+
+      assert.equal(output, fixture('foreach-async', '7c-foreach-exits-early.parallel'));
+      assert.match(output, /await Promise\.all\(users\.map\(async \(user\) => \{/);
+    });
+
+    it('reports instead of rewriting when the enclosing function is not async', async () => {
+      const { path, source } = example('7c-foreach-exits-early');
+      const notAsync = source.replace('async function dangerousForEach()', 'function dangerousForEach()');
+
+      for (const parallel of [false, true]) {
+        const { changed, reports } = await applyCodemod('foreach-async', notAsync, { path, options: { parallel } });
+        assert.equal(changed, false);
+        assert.deepEqual(reports, [
+          'examples/7c-foreach-exits-early.js:45: skipped users.forEach(async ...): dangerousForEach() is not async; make it async (and await it where it is called) first',
+        ]);
+      }
+    });
+
+    it('is idempotent on its own output', async () => {
+      const { changed } = await run(fixture('foreach-async', '7-foreach-async-problem'));
+      assert.equal(changed, false);
+    });
+  });
+
+  describe('rewrites', () => {
+    it('loops over entries() when the callback takes an index', async () => {
+      const { output } = await run(code`
+        async function f(items) {
+          items.forEach(async (item, i) => {
+            await save(i, item);
+          });
+        }
+      `);
+
+      assert.equal(output, code`
+        async function f(items) {
+          for (const [i, item] of items.entries()) {
+            await save(i, item);
+          }
+        }
+      `);
+    });
+
+    it('turns return into continue and awaits a returned promise', async () => {
+      const { output } = await run(code`
+        async function f(items) {
+          items.forEach(async function ({ id, skip }) {
+            if (skip) return;
+            const check = () => { return id; };
+            return save(check());
+          });
+        }
+      `);
+
+      assert.equal(output, code`
+        async function f(items) {
+          for (const { id, skip } of items) {
+            if (skip)
+              continue;
+            const check = () => { return id; };
+            await save(check());
+          }
+        }
+      `);
+    });
+
+    it('awaits an expression-bodied callback', async () => {
+      const { output } = await run(code`
+        export async function f(items) {
+          items.forEach(async (item) => save(item));
+        }
+      `);
+
+      assert.equal(output, code`
+        export async function f(items) {
+          for (const item of items) {
+            await save(item);
+          }
+        }
+      `);
+    });
+
+    it('rewrites nested forEach calls from the outside in', async () => {
+      const { output, reports } = await run(code`
+        async function f(groups) {
+          groups.forEach(async (group) => {
+            group.items.forEach(async (item) => {
+              await save(group, item);
+            });
+          });
+        }
+      `);
+
+      assert.equal(output, code`
+        async function f(groups) {
+          for (const group of groups) {
+            for (const item of group.items) {
+              await save(group, item);
+            }
+          }
+        }
+      `);
+      assert.deepEqual(reports, []);
+    });
+
+    it('leaves synchronous callbacks alone', async () => {
+      const { changed, reports } = await run('async function f(items) { items.forEach((item) => log(item)); }\n');
+      assert.equal(changed, false);
+      assert.deepEqual(reports, []);
+    });
+  });
+
+  describe('refusals', () => {
+    const refusal = async (source, expected, options) => {
+      const { changed, reports } = await run(source, options);
+      assert.equal(changed, false);
+      assert.equal(reports.length, 1);
+      assert.match(reports[0], expected);
+    };
+
+    it('refuses at the top level of a CommonJS script', () => refusal(code`
+      const items = require('./items');
+      items.forEach(async (item) => { await save(item); });
+    `, /^input\.js:2: skipped items\.forEach\(async \.\.\.\): top-level code in a CommonJS script cannot await/));
+
+    it('refuses a callback that uses this', () => refusal(code`
+      async function f(items) {
+        items.forEach(async function (item) { await this.save(item); }, store);
+      }
+    `, /the callback uses `this`$/, { parallel: true }));
+
+    it('refuses a thisArg in a sequential loop', () => refusal(code`
+      async function f(items) {
+        items.forEach(async (item) => { await save(item); }, store);
+      }
+    `, /forEach\(\) is given a thisArg$/));
+
+    it('refuses a callback that uses the array parameter', () => refusal(code`
+      async function f(items) {
+        items.forEach(async (item, i, all) => { await save(item, all.length); });
+      }
+    `, /the callback uses the array parameter all$/));
+
+    it('refuses a return inside a nested loop', () => refusal(code`
+      async function f(items) {
+        items.forEach(async (item) => {
+          for (const part of item.parts) {
+            if (!part) return;
+          }
+          await save(item);
+        });
+      }
+    `, /the callback returns from inside a loop$/));
+  });
+});
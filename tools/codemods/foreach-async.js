@@ -0,0 +1,202 @@
+// 🔧 Codemod: forEach(async ...) → awaited loops
+// forEach ignores the promise each async callback returns, so the code after
+// it runs before the work is done, rejections escape the surrounding
+// try/catch, and the process can exit with writes in flight
+// (examples/7-foreach-async-problem.js, 7b-foreach-fails-silently.js,
+// 7c-foreach-exits-early.js). This rewrites
+//
+//   users.forEach(async (user) => {
+//     await saveUser(user);
+//   });
+//
+// into a sequential loop:
+//
+//   for (const user of users) {
+//     await saveUser(user);
+//   }
+//
+// or, with the `parallel` option (--parallel), into
+//
+//   await Promise.all(users.map(async (user) => {
+//     await saveUser(user);
+//   }));
+//
+// An `(item, index)` callback loops over `users.entries()`; `return` inside the
+// callback becomes `continue`, and a returned promise is awaited.
+//
+// The rewrite needs an async function (or module top level) to await in.
+// When the enclosing function isn't async, the call site is reported instead:
+// making it async would hand its callers a promise they don't expect. Also
+// reported: callbacks using `this`, `arguments` or the array parameter, a
+// `thisArg`, and returns that `continue` can't replace.
+//
+// for...of visits the holes of a sparse array that forEach skips, and a Map's
+// forEach passes (value, key) where for...of yields [key, value] entries:
+// check call sites on sparse arrays or Maps.
+//
+// Run with: node tools/codemod.js foreach-async <files...> [--parallel]
+
+import { detectQuote, isFunction, isModule, usesOwn } from '../../eslint-plugin/utils.js';
+
+export const parser = 'babel';
+
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+
+/**
+ * jscodeshift transform.
+ *
+ * @param {{ path: string, source: string }} file
+ * @param {{ jscodeshift: Function, report: (message: string) => void }} api
+ * @param {{ parallel?: boolean }} [options] - Rewrite to `await Promise.all(arr.map(...))`
+ *   instead of a sequential for...of loop.
+ * @returns {string | undefined} The new source, or undefined when nothing changed.
+ */
+export default function forEachAsync(file, api, options = {}) {
+  const j = api.jscodeshift;
+  const root = j(file.source);
+  const handled = new WeakSet();
+  let changed = false;
+
+  const report = (node, message) => api.report(`${file.path}:${node.loc?.start.line ?? '?'}: ${message}`);
+
+  // Rewrite the outermost call first: once it is a loop, an inner forEach
+  // can await in the outer callback's enclosing function
+  for (;;) {
+    const path = root
+      .find(j.ExpressionStatement, (node) => !handled.has(node) && isForEachAsync(node.expression))
+      .paths()[0];
+    if (!path) break;
+    handled.add(path.node);
+
+    const call = path.node.expression;
+    const array = call.callee.object;
+    const callback = call.arguments[0];
+
+    const refusal = checkEnclosing(j, path, root) ?? checkCallback(j, call, path, options);
+    if (refusal) {
+      report(path.node, `skipped ${describe(j, array)}.forEach(async ...): ${refusal}`);
+      continue;
+    }
+
+    if (options.parallel) {
+      path.replace(j.expressionStatement(j.awaitExpression(j.callExpression(
+        j.memberExpression(j.identifier('Promise'), j.identifier('all')),
+        [j.callExpression(j.memberExpression(array, j.identifier('map')), call.arguments)]
+      ))));
+    } else {
+      const [item, index] = callback.params;
+      const left = j.variableDeclaration('const', [
+        j.variableDeclarator(index ? j.arrayPattern([index, item]) : item),
+      ]);
+      const right = index ? j.callExpression(j.memberExpression(array, j.identifier('entries')), []) : array;
+      path.replace(j.forOfStatement(left, right, j.blockStatement(loopBody(j, path, callback))));
+    }
+    changed = true;
+  }
+
+  return changed ? root.toSource({ quote: detectQuote(file.source) }) : undefined;
+}
+
+// arr.forEach(async (item) => ...) or arr.forEach(async function (item) {...})
+function isForEachAsync(expression) {
+  return expression.type === 'CallExpression'
+    && expression.callee.type === 'MemberExpression'
+    && !expression.callee.computed
+    && expression.callee.property.name === 'forEach'
+    && isFunction(expression.arguments[0])
+    && expression.arguments[0].async
+    && !expression.arguments[0].generator;
+}
+
+// Awaiting needs an async function, or the top level of a module
+function checkEnclosing(j, path, root) {
+  let current = path.parent;
+  while (current && !isFunction(current.node)) current = current.parent;
+
+  if (!current) {
+    if (isModule(root.get().node.program)) return undefined;
+    return 'top-level code in a CommonJS script cannot await; move it into an async function';
+  }
+  if (!current.node.async) {
+    const fn = current.node;
+    const name = fn.id ? `${fn.id.name}()` : 'the enclosing function';
+    return `${name} is not async; make it async (and await it where it is called) first`;
+  }
+  return undefined;
+}
+
+function checkCallback(j, call, path, { parallel }) {
+  const [callback, thisArg] = call.arguments;
+  const [item, index, array] = callback.params;
+
+  if (callback.type === 'FunctionExpression') {
+    if (usesOwn(callback.body, (node) => node.type === 'ThisExpression')) return 'the callback uses `this`';
+    if (usesOwn(callback.body, (node) => node.type === 'Identifier' && node.name === 'arguments')) {
+      return 'the callback uses `arguments`';
+    }
+  }
+  if (parallel) return undefined;
+
+  // The sequential loop has no thisArg, array parameter or return value
+  if (thisArg) return 'forEach() is given a thisArg';
+  if (!item) return 'the callback takes no item parameter';
+  if ([item, index].some((param) => param && param.type !== 'Identifier' && param.type !== 'ObjectPattern' && param.type !== 'ArrayPattern')) {
+    return 'the callback has default or rest parameters';
+  }
+  if (array && j(callback.body).find(j.Identifier, { name: array.name }).size() > 0) {
+    return `the callback uses the array parameter ${array.name}`;
+  }
+
+  if (callback.body.type !== 'BlockStatement') return undefined;
+  const body = callback.body.body;
+  for (const returnPath of ownReturns(j, path, callback)) {
+    const isLast = returnPath.node === body.at(-1);
+    if (returnPath.node.argument && !isLast) return 'the callback returns a value before its last statement';
+    if (!isLast && insideLoop(returnPath, callback)) return 'the callback returns from inside a loop';
+  }
+  return undefined;
+}
+
+// The for...of body: the callback's statements with `return` → `continue`
+function loopBody(j, path, callback) {
+  if (callback.body.type !== 'BlockStatement') {
+    return [j.expressionStatement(awaited(j, callback.body))];
+  }
+
+  const body = callback.body.body;
+  for (const returnPath of ownReturns(j, path, callback)) {
+    if (returnPath.node !== body.at(-1)) returnPath.replace(j.continueStatement());
+  }
+
+  const last = body.at(-1);
+  if (last?.type !== 'ReturnStatement') return body;
+  return last.argument ? [...body.slice(0, -1), j.expressionStatement(awaited(j, last.argument))] : body.slice(0, -1);
+}
+
+function awaited(j, expression) {
+  return expression.type === 'AwaitExpression' ? expression : j.awaitExpression(expression);
+}
+
+// Return statements of the callback itself, not of functions nested in it
+function ownReturns(j, path, callback) {
+  return j(path).find(j.ReturnStatement).paths().filter((returnPath) => {
+    let current = returnPath.parent;
+    while (current.node !== callback) {
+      if (isFunction(current.node)) return false;
+      current = current.parent;
+    }
+    return true;
+  });
+}
+
+function insideLoop(returnPath, callback) {
+  for (let current = returnPath.parent; current.node !== callback; current = current.parent) {
+    if (LOOP_TYPES.has(current.node.type)) return true;
+  }
+  return false;
+}
+
+function describe(j, node) {
+  const source = j(node).toSource();
+  return source.length > 30 || source.includes('\n') ? '(...)' : source;
+}
@@ -0,0 +1,28 @@
+// Preloaded by tools/deopt-report.js into the script under analysis (which runs
+// with --allow-natives-syntax). Defines the hook scripts call at the end:
+//
+//   globalThis.reportOptimizationStatus?.({ badDualMode, goodDualMode });
+//
+// For each function it prints, between markers on stdout, the
+// %GetOptimizationStatus bits and %DebugPrint's dump of the feedback vector
+// (the per-slot MONOMORPHIC / POLYMORPHIC / MEGAMORPHIC states).
+// Without the tool the hook is undefined and the call above is a no-op.
+
+import { writeSync } from 'node:fs';
+
+// Must match MARKER in tools/deopt-report.js
+const MARKER = '@@deopt-report';
+
+globalThis.reportOptimizationStatus = (functions) => {
+  // Natives syntax isn't valid JavaScript for linters and parsers, so it's
+  // only compiled at call time, when the flag is known to be set
+  const getOptimizationStatus = new Function('fn', 'return %GetOptimizationStatus(fn);');
+  const debugPrint = new Function('fn', '%DebugPrint(fn);');
+
+  for (const [name, fn] of Object.entries(functions)) {
+    // %DebugPrint writes straight to fd 1, so the markers must be synchronous too
+    writeSync(1, `\n${MARKER}:begin ${name} ${getOptimizationStatus(fn)}\n`);
+    debugPrint(fn);
+    writeSync(1, `${MARKER}:end ${name}\n`);
+  }
+};
@@ -0,0 +1,250 @@
+// 🔬 V8 deoptimization report
+// Replaces piping `--trace-opt --trace-deopt` through grep / Select-String.
+// Runs a script with those flags plus --allow-natives-syntax, parses the
+// trace, and asks V8 directly (%GetOptimizationStatus, %DebugPrint) about the
+// functions the script reports, then prints one row per function:
+//
+//   function  optimized     deopts  deopt reasons               status     polymorphic
+//   area      1 (TURBOFAN)  1       wrong map (deopt-eager) ×1  Sparkplug  yes (LoadProperty)
+//
+// Run with:
+//   node tools/deopt-report.js examples/6b-deopt-analysis.js
+//   node tools/deopt-report.js app.js --filter "^handle" --json
+//
+// Scripts opt in by calling, once their hot loops are done:
+//   globalThis.reportOptimizationStatus?.({ badDualMode, goodDualMode });
+// Functions that aren't reported only get the trace columns (--filter).
+//
+// Recompilation runs on the main thread (--no-concurrent-recompilation) so a
+// short script can't exit while its functions are still being optimized, which
+// keeps the report the same from run to run.
+
+import { spawnSync } from 'node:child_process';
+import { closeSync, mkdtempSync, openSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+// Must match MARKER in tools/deopt-probe.js
+const MARKER = '@@deopt-report';
+
+export const TRACE_FLAGS = [
+  '--trace-opt',
+  '--trace-deopt',
+  '--allow-natives-syntax',
+  '--no-concurrent-recompilation',
+];
+
+// Bits of %GetOptimizationStatus (V8's OptimizationStatus enum)
+const STATUS_BITS = [
+  [1 << 1, 'never optimized'],
+  [1 << 3, 'maybe deopted'],
+  [1 << 5, 'Maglev'],
+  [1 << 6, 'TurboFan'],
+  [1 << 7, 'interpreted'],
+  [1 << 8, 'marked for optimization'],
+  [1 << 9, 'marked for optimization'],
+  [1 << 10, 'optimizing'],
+  [1 << 14, 'marked for deoptimization'],
+  [1 << 15, 'Sparkplug'],
+];
+
+const FUNCTION_NAME = /<JSFunction ?(\S*) \(sfi/;
+const COMPLETED = /^\[completed compiling .*?<JSFunction ?(\S*) \(sfi = \w+\)> \(target (\w+)\)/;
+const BAILOUT = /^\[bailout \(kind: ([\w-]+), reason: (.*?)\): begin\. deoptimizing/;
+const SLOT = /^ - slot #(\d+) (\w+) (MONOMORPHIC|POLYMORPHIC|MEGAMORPHIC)\b/;
+
+/**
+ * Count optimizations and deoptimizations per function in
+ * `--trace-opt --trace-deopt` output.
+ *
+ * @param {string} trace
+ * @returns {Map<string, { optimized: number, tiers: string[], deopts: number, reasons: Record<string, number> }>}
+ */
+export function parseTrace(trace) {
+  const functions = new Map();
+  const entry = (name) => {
+    const key = name || '(anonymous)';
+    if (!functions.has(key)) functions.set(key, { optimized: 0, tiers: [], deopts: 0, reasons: {} });
+    return functions.get(key);
+  };
+
+  for (const line of trace.split('\n')) {
+    const completed = COMPLETED.exec(line);
+    if (completed) {
+      const fn = entry(completed[1]);
+      fn.optimized += 1;
+      if (!fn.tiers.includes(completed[2])) fn.tiers.push(completed[2]);
+      continue;
+    }
+
+    const bailout = BAILOUT.exec(line);
+    if (bailout) {
+      const fn = entry(FUNCTION_NAME.exec(line)?.[1]);
+      const reason = `${bailout[2]} (${bailout[1]})`;
+      fn.deopts += 1;
+      fn.reasons[reason] = (fn.reasons[reason] ?? 0) + 1;
+    }
+  }
+
+  return functions;
+}
+
+/**
+ * Extract what tools/deopt-probe.js printed for each reported function.
+ *
+ * @param {string} stdout
+ * @returns {Map<string, { status: number, flags: string[], feedback: Array<{ slot: number, kind: string, state: string }> }>}
+ */
+export function parseProbe(stdout) {
+  const probed = new Map();
+  let current;
+
+  for (const line of stdout.split('\n')) {
+    if (line.startsWith(`${MARKER}:begin `)) {
+      const [name, status] = line.slice(MARKER.length + 7).split(' ');
+      current = { status: Number(status), flags: decodeStatus(Number(status)), feedback: [] };
+      probed.set(name, current);
+    } else if (line.startsWith(`${MARKER}:end `)) {
+      current = undefined;
+    } else if (current) {
+      const slot = SLOT.exec(line);
+      if (slot) current.feedback.push({ slot: Number(slot[1]), kind: slot[2], state: slot[3] });
+    }
+  }
+
+  return probed;
+}
+
+/**
+ * Turn %GetOptimizationStatus bits into readable labels.
+ *
+ * @param {number} status
+ * @returns {string[]}
+ */
+export function decodeStatus(status) {
+  const labels = STATUS_BITS.filter(([bit]) => status & bit).map(([, label]) => label);
+  return [...new Set(labels)];
+}
+
+/**
+ * Run `script` under the V8 trace flags and build the per-function report.
+ *
+ * @param {string} script - Path of the script to analyze.
+ * @param {object} [options]
+ * @param {string[]} [options.args] - Arguments for the script.
+ * @param {RegExp} [options.filter] - Also include traced functions whose name matches.
+ * @returns {{ exitCode: number, rows: Array<{ name: string, optimized: number, tiers: string[], deopts: number,
+ *   reasons: Record<string, number>, status?: number, flags: string[], polymorphic: string[] }> }}
+ *   `polymorphic` lists the kinds of feedback slots (LoadProperty, Call...) that
+ *   saw more than one shape or target.
+ */
+export function deoptReport(script, { args = [], filter } = {}) {
+  const probe = fileURLToPath(new URL('deopt-probe.js', import.meta.url));
+
+  // The trace and %DebugPrint go to stdout, interleaved with the script's own
+  // output. Send it to a file: synchronous writes to a full pipe fail with EAGAIN.
+  const dir = mkdtempSync(join(tmpdir(), 'deopt-report-'));
+  const outFile = join(dir, 'stdout.txt');
+  let child;
+  let stdout;
+  try {
+    const fd = openSync(outFile, 'w');
+    try {
+      child = spawnSync(
+        process.execPath,
+        [...TRACE_FLAGS, '--import', probe, script, ...args],
+        { stdio: ['ignore', fd, 'inherit'] }
+      );
+    } finally {
+      closeSync(fd);
+    }
+    if (child.error) throw child.error;
+    stdout = readFileSync(outFile, 'utf8');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  const traced = parseTrace(stdout);
+  const probed = parseProbe(stdout);
+
+  const names = [...probed.keys()];
+  if (filter) {
+    names.push(...[...traced.keys()].filter((name) => filter.test(name) && !probed.has(name)));
+  }
+
+  const rows = names.map((name) => {
+    const { optimized = 0, tiers = [], deopts = 0, reasons = {} } = traced.get(name) ?? {};
+    const { status, flags = [], feedback = [] } = probed.get(name) ?? {};
+    const polymorphic = [...new Set(feedback
+      .filter(({ state }) => state !== 'MONOMORPHIC')
+      .map(({ kind, state }) => (state === 'MEGAMORPHIC' ? `${kind}, megamorphic` : kind)))];
+
+    return { name, optimized, tiers, deopts, reasons, status, flags, polymorphic };
+  });
+
+  return { exitCode: child.status, rows };
+}
+
+/**
+ * Format report rows as a text table.
+ *
+ * @param {ReturnType<typeof deoptReport>['rows']} rows
+ * @returns {string}
+ */
+export function formatReport(rows) {
+  const header = ['function', 'optimized', 'deopts', 'deopt reasons', 'status', 'polymorphic'];
+  const body = rows.map((row) => [
+    row.name,
+    row.optimized === 0 ? '0' : `${row.optimized} (${row.tiers.join(', ')})`,
+    String(row.deopts),
+    Object.entries(row.reasons).map(([reason, count]) => `${reason} ×${count}`).join('; ') || '-',
+    row.status === undefined ? 'not reported' : row.flags.join(', ') || 'not optimized',
+    row.status === undefined ? '?' : row.polymorphic.length > 0 ? `yes (${row.polymorphic.join('; ')})` : 'no',
+  ]);
+
+  const widths = header.map((title, i) => Math.max(title.length, ...body.map((cells) => cells[i].length)));
+  const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(header), line(widths.map((w) => '-'.repeat(w))), ...body.map(line)].join('\n') + '\n';
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      filter: { type: 'string' },
+      json: { type: 'boolean', default: false },
+    },
+  });
+
+  const [script, ...args] = positionals;
+  if (!script) {
+    process.stderr.write('Usage: node tools/deopt-report.js <script> [args...] [--filter <regex>] [--json]\n');
+    return 2;
+  }
+
+  const { exitCode, rows } = deoptReport(script, {
+    args,
+    filter: values.filter ? new RegExp(values.filter) : undefined,
+  });
+
+  if (values.json) {
+    process.stdout.write(`${JSON.stringify(rows, null, 2)}\n`);
+  } else if (rows.length === 0) {
+    process.stdout.write(`No functions reported. Call globalThis.reportOptimizationStatus?.({ fn }) in ${script} or pass --filter.\n`);
+  } else {
+    process.stdout.write(formatReport(rows));
+  }
+
+  if (exitCode !== 0) {
+    process.stderr.write(`\n${script} exited with code ${exitCode}\n`);
+    return 1;
+  }
+  return 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,54 @@
+// node:test reporter that writes SonarCloud's generic test execution format
+// https://docs.sonarsource.com/sonarqube-cloud/enriching/test-coverage/generic-test-data/
+//
+// Run with:
+//   node --test --test-reporter=./tools/sonar-reporter.js \
+//        --test-reporter-destination=test-results/sonar-report.xml \
+//        test-suite.js eslint-plugin/rules.test.js tools/codemods/codemods.test.js
+
+import { relative } from 'node:path';
+
+export default async function* sonarReporter(source) {
+  const files = new Map();
+  const suiteNames = [];
+
+  for await (const { type, data } of source) {
+    if (type === 'test:start') {
+      suiteNames[data.nesting] = data.name;
+      continue;
+    }
+
+    if ((type !== 'test:pass' && type !== 'test:fail') || data.details?.type === 'suite' || !data.file) {
+      continue;
+    }
+
+    const name = [...suiteNames.slice(0, data.nesting), data.name].join(' › ');
+    const duration = Math.round(data.details?.duration_ms ?? 0);
+    let body = '';
+
+    if (data.skip !== undefined || data.todo !== undefined) {
+      body = `<skipped message="${escape(String(data.skip ?? data.todo ?? ''))}"/>`;
+    } else if (type === 'test:fail') {
+      const error = data.details.error?.cause ?? data.details.error;
+      body = `<failure message="${escape(error?.message ?? 'Test failed')}">${escape(error?.stack ?? '')}</failure>`;
+    }
+
+    const path = relative(process.cwd(), data.file);
+    if (!files.has(path)) files.set(path, []);
+    files.get(path).push(`    <testCase name="${escape(name)}" duration="${duration}">${body}</testCase>`);
+  }
+
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n<testExecutions version="1">\n';
+  for (const [path, testCases] of files) {
+    yield `  <file path="${escape(path)}">\n${testCases.join('\n')}\n  </file>\n`;
+  }
+  yield '</testExecutions>\n';
+}
+
+function escape(text) {
+  return text
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;');
+}